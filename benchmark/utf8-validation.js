@@ -0,0 +1,89 @@
+/**
+	@howtouse
+		run
+		$ node ./benchmark/utf8-validation.js
+		
+		measures the throughput of the UTF-8 validation applied to every incoming text message,
+		next to the cost of decoding the same bytes to a string, which every text message pays anyway
+		
+		validation runs per network chunk the way WebSocketConnection feeds it,
+		so code points split across chunks are part of the measurement
+*/
+
+'use strict';
+
+// import
+
+const { Utf8Validator, isValidUtf8 } = require('../src/utf8-validation');
+
+// static
+
+const MESSAGE_SIZE = 1024 * 1024;
+const CHUNK_SIZE = 16 * 1024;
+const ROUNDS = 200;
+
+const SAMPLES = {
+	'ascii': 'the quick brown fox jumps over the lazy dog {"id":1234,"ok":true} ',
+	'latin': 'ÄÖÜ äöü ß façade naïve coöperate résumé ',
+	'mixed': 'ascii κόσμε 日本語テキスト emoji 😀🎉 ',
+};
+
+// run
+
+start();
+
+// functions
+
+function start() {
+	Object.keys(SAMPLES).forEach(sampleId => {
+		const buffer = createMessage(SAMPLES[sampleId]);
+		const chunks = splitIntoChunks(buffer, CHUNK_SIZE);
+		
+		console.log(sampleId + ':');
+		report('  Utf8Validator, ' + CHUNK_SIZE + ' byte chunks', buffer.byteLength, () => {
+			const validator = new Utf8Validator();
+			chunks.forEach(chunk => validator.write(chunk));
+			validator.end();
+		});
+		report('  isValidUtf8, whole message', buffer.byteLength, () => {
+			isValidUtf8(buffer);
+		});
+		report('  Buffer#toString, for comparison', buffer.byteLength, () => {
+			buffer.toString('utf8');
+		});
+	});
+}
+
+function report(label, byteLength, run) {
+	run(); // warm up
+	
+	const startTime = process.hrtime.bigint();
+	for(let i = 0; i < ROUNDS; ++i) {
+		run();
+	}
+	const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+	
+	const megabytesPerSecond = (byteLength * ROUNDS) / (1024 * 1024) / seconds;
+	console.log(label.padEnd(48) + megabytesPerSecond.toFixed(0).padStart(8) + ' MB/s');
+}
+
+function createMessage(sample) {
+	const sampleBuffer = Buffer.from(sample, 'utf8');
+	const buffer = Buffer.allocUnsafe(MESSAGE_SIZE);
+	
+	// fill with whole samples only, so the message stays valid UTF-8
+	
+	let length = 0;
+	while(length + sampleBuffer.byteLength <= MESSAGE_SIZE) {
+		length += sampleBuffer.copy(buffer, length);
+	}
+	return buffer.slice(0, length);
+}
+
+function splitIntoChunks(buffer, chunkSize) {
+	const chunks = [];
+	for(let i = 0; i < buffer.byteLength; i += chunkSize) {
+		chunks.push(buffer.slice(i, i + chunkSize));
+	}
+	return chunks;
+}
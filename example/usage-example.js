@@ -22,7 +22,7 @@
 // import
 
 const Http = require('http');
-const { createClientConnection, serverUpgradeRequest } = require('../src/websocket-protocol');
+const { createClientConnection, serverUpgradeRequest, rejectUpgradeRequest } = require('../src/websocket-protocol');
 
 // static
 
@@ -48,7 +48,7 @@ function onUpgrade(request, socket) {
 	serverUpgradeRequest(request, socket, {}, (error, webSocketConnection) => {
 		if(error) {
 			console.error('WebSocket upgrade failed:', error);
-			socket.end(); // call socket.end() unless you want to continue to other upgrade options
+			rejectUpgradeRequest(socket, error); // responds with the error's status code, unless you want to continue to other upgrade options
 			return;
 		}
 		
@@ -0,0 +1,384 @@
+'use strict';
+
+// import
+
+const Zlib = require('zlib');
+
+// static
+
+const EXTENSION_NAME = 'permessage-deflate';
+
+const RSV1 = 0b100; // RFC 7692 [6] set on the first frame of a compressed message
+
+const OPCODE_CONTINUATION_FRAME = 0x0;
+const OPCODE_TEXT_FRAME = 0x1;
+const OPCODE_BINARY_FRAME = 0x2;
+
+const DEFLATE_TRAILER = Buffer.from([ 0x00, 0x00, 0xff, 0xff ]); // RFC 7692 [7.2.1]
+
+const MIN_WINDOW_BITS = 8; // RFC 7692 [7.1.2]
+const MIN_DEFLATE_WINDOW_BITS = 9; // zlib silently raises raw deflate windowBits 8 to 9
+const MAX_WINDOW_BITS = 15;
+
+const DEFAULT_THRESHOLD = 1024; // bytes, smaller messages are not worth compressing
+
+// export
+
+module.exports = {
+	PerMessageDeflate,
+};
+
+// functions
+
+function PerMessageDeflate({
+	isServer,
+	serverNoContextTakeover = false,
+	clientNoContextTakeover = false,
+	serverMaxWindowBits = null,
+	clientMaxWindowBits = null,
+	threshold = DEFAULT_THRESHOLD,
+	level = Zlib.constants.Z_DEFAULT_COMPRESSION,
+	maxMessageSize = Infinity, // bytes per inflated message, guards against decompression bombs
+}) {
+	if(!(isOptionalWindowBits(serverMaxWindowBits) && isOptionalWindowBits(clientMaxWindowBits))) {
+		throw Error('ERR_DEFLATE_WINDOW_BITS');
+	}
+	
+	// state.internal
+	
+	// message state, compression is decided per message and applies to all of its frames
+	let isOutgoingCompressed = false;
+	let isIncomingCompressed = false;
+	let inflatedLength = 0; // bytes inflated so far for the current incoming message
+	
+	// negotiated parameters, own compressor follows own side of the agreement
+	let ownNoContextTakeover = false;
+	let ownMaxWindowBits = MAX_WINDOW_BITS;
+	let peerNoContextTakeover = false;
+	
+	// zlib streams, created on first use
+	let deflate = null;
+	let inflate = null;
+	
+	// pending operation per stream (the connection never runs two frames at once per direction)
+	let deflateCallback = null;
+	let inflateCallback = null;
+	
+	// output buffers
+	const deflateBuffers = [];
+	const inflateBuffers = [];
+	
+	// public
+	
+	Object.assign(this, {
+		// negotiation
+		createOffer,
+		acceptOffers,
+		acceptResponse,
+		
+		// action
+		processIncomingFrame,
+		processOutgoingFrame,
+		close,
+		
+		// getters-state
+		getName: () => EXTENSION_NAME,
+		getRsvBits: () => RSV1,
+		getOpCodes: () => [],
+	});
+	
+	// functions.public
+	
+	function createOffer() {
+		const params = {
+			'client_max_window_bits': clientMaxWindowBits === null ? true : String(clientMaxWindowBits),
+		};
+		if(serverNoContextTakeover) {
+			params['server_no_context_takeover'] = true;
+		}
+		if(clientNoContextTakeover) {
+			params['client_no_context_takeover'] = true;
+		}
+		if(serverMaxWindowBits !== null) {
+			params['server_max_window_bits'] = String(serverMaxWindowBits);
+		}
+		return params;
+	}
+	
+	function acceptOffers(offers) {
+		for(let i = 0, { length } = offers; i < length; ++i) {
+			const response = acceptOffer(offers[i]);
+			if(response !== null) return response;
+		}
+		return null;
+	}
+	
+	function acceptResponse(params) {
+		if(!areValidParams(params, true)) return false;
+		
+		// RFC 7692 [7.1.1.1] [7.1.2.1] server must honor what the client asked of it
+		
+		if(serverNoContextTakeover && params['server_no_context_takeover'] !== true) {
+			return false;
+		}
+		if(serverMaxWindowBits !== null && !(
+			params['server_max_window_bits'] !== undefined &&
+			Number(params['server_max_window_bits']) <= serverMaxWindowBits
+		)) {
+			return false;
+		}
+		
+		// RFC 7692 [7.1.2.2] client_max_window_bits may only be answered if offered (always is)
+		
+		let windowBits = clientMaxWindowBits === null ? MAX_WINDOW_BITS : clientMaxWindowBits;
+		if(params['client_max_window_bits'] !== undefined) {
+			windowBits = Math.min(windowBits, Number(params['client_max_window_bits']));
+		}
+		if(windowBits < MIN_DEFLATE_WINDOW_BITS) return false;
+		
+		ownNoContextTakeover = clientNoContextTakeover || params['client_no_context_takeover'] === true;
+		ownMaxWindowBits = windowBits;
+		peerNoContextTakeover = params['server_no_context_takeover'] === true;
+		return true;
+	}
+	
+	function processIncomingFrame(frame, callback) {
+		const { opCode, isFin, rsvBits, payload } = frame;
+		const isRSV1Set = (rsvBits & RSV1) !== 0;
+		
+		if(opCode === OPCODE_TEXT_FRAME || opCode === OPCODE_BINARY_FRAME) {
+			isIncomingCompressed = isRSV1Set;
+		} else if(isRSV1Set) {
+			// RFC 7692 [6.1] only the first frame of a data message may have RSV1 set
+			return callback(Object.assign(Error('ERR_DEFLATE_RSV1'), { statusCode: 1002 }));
+		} else if(opCode !== OPCODE_CONTINUATION_FRAME) {
+			return callback(null, frame); // control frames, extension frames
+		}
+		
+		if(!isIncomingCompressed) {
+			return callback(null, frame);
+		}
+		
+		decompress(payload, isFin, (error, data) => {
+			if(error) return callback(error);
+			return callback(null, { ...frame, rsvBits: rsvBits & ~RSV1, payload: data });
+		});
+	}
+	
+	function processOutgoingFrame(frame, callback) {
+		const { opCode, isFin, rsvBits, payload } = frame;
+		
+		if(opCode === OPCODE_TEXT_FRAME || opCode === OPCODE_BINARY_FRAME) {
+			// a message sent as one small frame is not worth compressing
+			isOutgoingCompressed = !(isFin && payload.byteLength < threshold);
+		} else if(opCode !== OPCODE_CONTINUATION_FRAME) {
+			return callback(null, frame); // control frames, extension frames
+		}
+		
+		if(!isOutgoingCompressed) {
+			return callback(null, frame);
+		}
+		
+		compress(payload, isFin, (error, data) => {
+			if(error) return callback(error);
+			return callback(null, {
+				...frame,
+				rsvBits: opCode === OPCODE_CONTINUATION_FRAME ? rsvBits : rsvBits | RSV1,
+				payload: data,
+			});
+		});
+	}
+	
+	function close() {
+		if(deflate !== null) {
+			deflate.close();
+			deflate = null;
+		}
+		if(inflate !== null) {
+			inflate.close();
+			inflate = null;
+		}
+		deflateCallback = null;
+		inflateCallback = null;
+		deflateBuffers.length = 0;
+		inflateBuffers.length = 0;
+	}
+	
+	// functions.internal
+	
+	function compress(data, isFin, callback) {
+		if(deflate === null) {
+			deflate = Zlib.createDeflateRaw({ windowBits: ownMaxWindowBits, level });
+			deflate.on('data', chunk => deflateBuffers.push(chunk));
+			deflate.on('error', error => {
+				deflate = null;
+				return takeCallback('deflate')(
+					Object.assign(Error('ERR_DEFLATE'), { statusCode: 1011, cause: error })
+				);
+			});
+		}
+		
+		deflateCallback = callback;
+		deflate.write(data);
+		deflate.flush(Zlib.constants.Z_SYNC_FLUSH, () => {
+			if(deflateCallback === null) return; // errored or closed meanwhile
+			
+			let output = Buffer.concat(deflateBuffers.splice(0));
+			if(isFin) {
+				// RFC 7692 [7.2.1] remove the empty block every sync flush ends with
+				output = output.slice(0, output.byteLength - DEFLATE_TRAILER.byteLength);
+				if(ownNoContextTakeover) {
+					deflate.reset();
+				}
+			}
+			return takeCallback('deflate')(null, output);
+		});
+	}
+	
+	function decompress(data, isFin, callback) {
+		if(inflate === null) {
+			inflate = Zlib.createInflateRaw({ windowBits: MAX_WINDOW_BITS });
+			inflate.on('data', onInflateData);
+			inflate.on('error', error => {
+				inflate = null;
+				inflateBuffers.length = 0;
+				return takeCallback('inflate')(
+					Object.assign(Error('ERR_INFLATE'), { statusCode: 1007, cause: error })
+				);
+			});
+		}
+		
+		inflateCallback = callback;
+		inflate.write(data);
+		if(isFin) {
+			// RFC 7692 [7.2.2] append the empty block removed by the sender
+			inflate.write(DEFLATE_TRAILER);
+		}
+		inflate.flush(() => {
+			if(inflateCallback === null) return; // errored or closed meanwhile
+			
+			const output = Buffer.concat(inflateBuffers.splice(0));
+			if(isFin) {
+				inflatedLength = 0;
+				if(peerNoContextTakeover) {
+					inflate.reset();
+				}
+			}
+			return takeCallback('inflate')(null, output);
+		});
+	}
+	
+	function onInflateData(chunk) {
+		inflatedLength += chunk.byteLength;
+		if(inflatedLength > maxMessageSize) {
+			
+			// RFC 6455 [7.4.1] 1009 message too big, stop inflating right away
+			
+			inflate.removeListener('data', onInflateData);
+			inflate.close();
+			inflate = null;
+			inflateBuffers.length = 0;
+			return takeCallback('inflate')(
+				Object.assign(Error('ERR_MESSAGE_TOO_BIG'), { statusCode: 1009 })
+			);
+		}
+		inflateBuffers.push(chunk);
+	}
+	
+	function acceptOffer(params) {
+		if(!areValidParams(params, false)) return null;
+		
+		const response = {};
+		
+		// RFC 7692 [7.1.1.1] a client asking for server_no_context_takeover must get it
+		
+		const isServerNoContextTakeover = (
+			serverNoContextTakeover ||
+			params['server_no_context_takeover'] === true
+		);
+		if(isServerNoContextTakeover) {
+			response['server_no_context_takeover'] = true;
+		}
+		
+		// RFC 7692 [7.1.1.2] server may always ask the client not to take over context
+		
+		if(clientNoContextTakeover) {
+			response['client_no_context_takeover'] = true;
+		}
+		
+		// RFC 7692 [7.1.2.1] server window must not exceed what the client asked for
+		
+		let serverWindowBits = serverMaxWindowBits === null ? MAX_WINDOW_BITS : serverMaxWindowBits;
+		if(params['server_max_window_bits'] !== undefined) {
+			serverWindowBits = Math.min(serverWindowBits, Number(params['server_max_window_bits']));
+		}
+		if(serverWindowBits < MIN_DEFLATE_WINDOW_BITS) return null;
+		if(serverWindowBits < MAX_WINDOW_BITS || params['server_max_window_bits'] !== undefined) {
+			response['server_max_window_bits'] = String(serverWindowBits);
+		}
+		
+		// RFC 7692 [7.1.2.2] client window can only be limited if the client supports it
+		
+		if(clientMaxWindowBits !== null) {
+			if(params['client_max_window_bits'] === undefined) return null;
+			const offeredWindowBits = params['client_max_window_bits'] === true
+				? MAX_WINDOW_BITS
+				: Number(params['client_max_window_bits']);
+			response['client_max_window_bits'] = String(Math.min(clientMaxWindowBits, offeredWindowBits));
+		}
+		
+		ownNoContextTakeover = isServerNoContextTakeover;
+		ownMaxWindowBits = serverWindowBits;
+		peerNoContextTakeover = clientNoContextTakeover;
+		return response;
+	}
+	
+	function takeCallback(streamId) {
+		let callback = null;
+		if(streamId === 'deflate') {
+			callback = deflateCallback;
+			deflateCallback = null;
+		} else {
+			callback = inflateCallback;
+			inflateCallback = null;
+		}
+		return callback !== null ? callback : () => {};
+	}
+}
+
+function areValidParams(params, isResponse) {
+	const keys = Object.keys(params);
+	for(let i = 0, { length } = keys; i < length; ++i) {
+		const value = params[keys[i]];
+		switch(keys[i]) {
+			case 'server_no_context_takeover':
+			case 'client_no_context_takeover':
+				if(value !== true) return false;
+				break;
+			case 'server_max_window_bits':
+				if(!isWindowBitsString(value)) return false;
+				break;
+			case 'client_max_window_bits':
+				// RFC 7692 [7.1.2.2] may have no value in an offer, must have one in a response
+				if(!(isWindowBitsString(value) || (value === true && !isResponse))) return false;
+				break;
+			default:
+				return false;
+		}
+	}
+	return true;
+}
+
+function isWindowBitsString(value) {
+	if(!(typeof value === 'string' && /^[0-9]+$/.test(value))) return false;
+	const windowBits = Number(value);
+	return windowBits >= MIN_WINDOW_BITS && windowBits <= MAX_WINDOW_BITS;
+}
+
+function isOptionalWindowBits(value) {
+	return value === null || (
+		Number.isInteger(value) &&
+		value >= MIN_DEFLATE_WINDOW_BITS &&
+		value <= MAX_WINDOW_BITS
+	);
+}
@@ -0,0 +1,155 @@
+'use strict';
+
+// import
+
+const Net = require('net');
+const Tls = require('tls');
+
+// static
+
+const CRLF = '\r\n';
+const HEADER_END = Buffer.from(CRLF + CRLF);
+const MAX_RESPONSE_HEADER_SIZE = 16 * 1024;
+
+// proxy URL scheme -> is secure
+const PROXY_SCHEMES = {
+	'http:': false,
+	'https:': true,
+};
+const DEFAULT_PORT = 80;
+const DEFAULT_SECURE_PORT = 443;
+
+// export
+
+module.exports = {
+	createProxySocketFactory,
+};
+
+// functions
+
+function createProxySocketFactory(proxy) {
+	const {
+		protocol,
+		hostname,
+		port,
+		username,
+		password,
+	} = new URL(proxy);
+	
+	if(!(protocol in PROXY_SCHEMES)) {
+		throw Error('ERR_PROXY_URL_SCHEME');
+	}
+	
+	const isSecure = PROXY_SCHEMES[protocol];
+	const proxyPort = port !== '' ? Number(port) : isSecure ? DEFAULT_SECURE_PORT : DEFAULT_PORT;
+	const proxyHost = hostname.startsWith('[') ? hostname.slice(1, -1) : hostname; // IPv6 literal
+	
+	// RFC 7617 [2] basic authentication, credentials are percent-encoded in URLs
+	const proxyAuthorization = username !== ''
+		? 'Basic ' + Buffer.from(
+			decodeURIComponent(username) + ':' + decodeURIComponent(password),
+			'utf8'
+		).toString('base64')
+		: null;
+	
+	return createSocket;
+	
+	// functions
+	
+	function createSocket({ host, port }, callback) {
+		const authority = (Net.isIPv6(host) ? '[' + host + ']' : host) + ':' + port;
+		
+		const socket = isSecure
+			? Tls.connect({
+				host: proxyHost,
+				port: proxyPort,
+				servername: Net.isIP(proxyHost) === 0 ? proxyHost : undefined,
+			}, onConnected)
+			: Net.connect({ host: proxyHost, port: proxyPort }, onConnected);
+		socket.on('end', onEnd);
+		socket.on('error', onError);
+		
+		// proxy response, buffered until complete
+		const responseChunks = [];
+		let responseLength = 0;
+		
+		return socket; // destroyed by the caller if it gives up before the tunnel is open
+		
+		// functions
+		
+		function onConnected() {
+			const requestHeaders = {
+				'host': authority,
+			};
+			if(proxyAuthorization !== null) {
+				requestHeaders['proxy-authorization'] = proxyAuthorization;
+			}
+			
+			socket.on('data', onProxyResponse);
+			
+			// RFC 9110 [9.3.6] CONNECT turns the proxy connection into a tunnel to the target
+			
+			socket.write([
+				'CONNECT ' + authority + ' HTTP/1.1',
+				...Object.keys(requestHeaders).map(headerId => headerId + ': ' + requestHeaders[headerId]),
+				CRLF,
+			].join(CRLF));
+		}
+		
+		function onProxyResponse(buffer) {
+			responseChunks.push(buffer);
+			responseLength += buffer.byteLength;
+			
+			const response = Buffer.concat(responseChunks, responseLength);
+			const headerEndIndex = response.indexOf(HEADER_END);
+			if(headerEndIndex === -1) {
+				if(responseLength > MAX_RESPONSE_HEADER_SIZE) {
+					return fail(Error('ERR_PROXY_HEADERS_TOO_LARGE'));
+				}
+				return; // wait for next chunk
+			}
+			
+			const statusLine = response.toString('latin1', 0, response.indexOf(CRLF));
+			const match = statusLine.match(/^HTTP\/[0-9]+\.[0-9]+ ([1-5][0-9]{2})(?: .*)?$/);
+			if(match === null) {
+				return fail(Error('ERR_NOT_HTTP_PROXY'));
+			}
+			
+			// any 2xx status code means the tunnel is open
+			
+			const statusCode = Number(match[1]);
+			if(!(statusCode >= 200 && statusCode < 300)) {
+				return fail(Object.assign(Error('ERR_PROXY_CONNECT'), { statusCode }));
+			}
+			
+			// neither TLS nor WebSocket servers speak first, nothing may follow the response yet
+			
+			if(responseLength > headerEndIndex + HEADER_END.byteLength) {
+				return fail(Error('ERR_PROXY_RESPONSE'));
+			}
+			
+			removeListeners();
+			return callback(null, socket);
+		}
+		
+		function onEnd() {
+			return fail(Error('ERR_PROXY_CLOSED'));
+		}
+		
+		function onError(error) {
+			return fail(error);
+		}
+		
+		function removeListeners() {
+			socket.removeListener('end', onEnd);
+			socket.removeListener('error', onError);
+			socket.removeListener('data', onProxyResponse);
+		}
+		
+		function fail(error) {
+			removeListeners();
+			socket.destroy();
+			return callback(error);
+		}
+	}
+}
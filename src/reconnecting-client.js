@@ -0,0 +1,246 @@
+'use strict';
+
+// import
+
+const { createClientConnection } = require('./websocket-protocol');
+const { isWellFormedString } = require('./utf8-validation');
+
+// static
+
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+const MIN_STABLE_TIME_MS = 5 * 1000;
+const MAX_QUEUE_SIZE = 1000;
+
+const CLOSE_CODE_NORMAL = 1000;
+const CLOSE_CODE_ABNORMAL = 1006;
+
+const STATE_CONNECTING = 'CONNECTING'; // handshake running, or waiting to retry
+const STATE_OPEN = 'OPEN';
+const STATE_CLOSED = 'CLOSED'; // ended by the application, or reconnecting gave up
+
+// export
+
+module.exports = {
+	ReconnectingClient,
+};
+
+// functions
+
+function ReconnectingClient({
+	minReconnectDelay = MIN_RECONNECT_DELAY_MS, // milliseconds before the first retry
+	maxReconnectDelay = MAX_RECONNECT_DELAY_MS, // milliseconds the growing delay is capped at
+	reconnectDelayFactor = 2, // delay growth per failed attempt
+	reconnectJitter = 0.5, // share of each delay that is randomized, spreads reconnecting clients apart
+	maxReconnectAttempts = Infinity, // consecutive failed attempts before giving up
+	minStableTime = MIN_STABLE_TIME_MS, // milliseconds a connection must stay open to reset the backoff
+	maxQueueSize = MAX_QUEUE_SIZE, // messages held while disconnected
+	...clientOptions // createClientConnection options
+}) {
+	
+	// state.public-write
+	
+	// event callbacks
+	let onTextMessage = null;
+	let onBinaryMessage = null;
+	let onSync = null;
+	let onPong = null;
+	let onDrain = null;
+	let onConnect = null;
+	let onDisconnect = null;
+	let onEnd = null;
+	
+	// state.public-read
+	
+	let state = STATE_CONNECTING; // CONNECTING <-> OPEN -> CLOSED
+	let connection = null; // current WebSocketConnection, null while disconnected
+	
+	// state.internal
+	
+	let failedAttemptCount = 0; // consecutive failed handshakes and short-lived connections
+	let lastError = null; // of the last failed attempt
+	let connectDate = 0; // of the current connection
+	let reconnectTimer = null;
+	const queue = []; // { isText, data } of messages sent while disconnected, oldest first
+	
+	// run
+	
+	connect();
+	
+	// public
+	
+	Object.assign(this, {
+		// action-close
+		end,
+		
+		// action-write
+		sendTextMessage,
+		sendBinaryMessage,
+		sendPing,
+		
+		// setters-events
+		setOnTextMessage: it => onTextMessage = it,
+		setOnBinaryMessage: it => onBinaryMessage = it,
+		setOnSync: it => onSync = it,
+		setOnPong: it => onPong = it,
+		setOnDrain: it => onDrain = it,
+		setOnConnect: it => onConnect = it,
+		setOnDisconnect: it => onDisconnect = it,
+		setOnEnd: it => onEnd = it,
+		
+		// getters-state
+		isOpen: () => state === STATE_OPEN,
+		getState: () => state,
+		getConnection: () => connection,
+		getQueueLength: () => queue.length,
+	});
+	
+	// functions.public
+	
+	function end(code = CLOSE_CODE_NORMAL, reason = '') {
+		if(state === STATE_CLOSED) return;
+		
+		if(connection !== null) {
+			
+			// the closing handshake reports to onEnd once complete
+			
+			connection.end(code, reason);
+			return stop();
+		}
+		
+		stop();
+		if(onEnd !== null) {
+			onEnd('CLOSED_BY_SELF', code, null, reason);
+		}
+	}
+	
+	function sendTextMessage(string) {
+		if(!isWellFormedString(string)) {
+			throw Error('ERR_LONE_SURROGATE');
+		}
+		return send(true, string);
+	}
+	
+	function sendBinaryMessage(buffer) {
+		return send(false, buffer);
+	}
+	
+	function sendPing(payload) {
+		if(state !== STATE_OPEN) return false; // pings are about the current connection, never queued
+		return connection.sendPing(payload);
+	}
+	
+	// functions.events
+	
+	function onHandshake(error, webSocketConnection, protocol, response) {
+		if(error) {
+			lastError = error;
+			++failedAttemptCount;
+			return retry();
+		}
+		if(state === STATE_CLOSED) {
+			return webSocketConnection.end(); // ended while the handshake ran
+		}
+		
+		connection = webSocketConnection;
+		state = STATE_OPEN;
+		connectDate = Date.now();
+		
+		connection.setOnTextMessage(string => onTextMessage !== null && onTextMessage(string));
+		connection.setOnBinaryMessage(buffer => onBinaryMessage !== null && onBinaryMessage(buffer));
+		connection.setOnSync(syncDate => onSync !== null && onSync(syncDate));
+		connection.setOnPong((roundTripTime, payload) => onPong !== null && onPong(roundTripTime, payload));
+		connection.setOnDrain(() => onDrain !== null && onDrain());
+		connection.setOnEnd(onConnectionEnd);
+		
+		// messages sent while disconnected go first, in order, before any onConnect sends
+		
+		while(queue.length > 0 && connection !== null && connection.isOpen()) {
+			const { isText, data } = queue.shift();
+			if(isText) {
+				connection.sendTextMessage(data);
+			} else {
+				connection.sendBinaryMessage(data);
+			}
+		}
+		
+		if(onConnect !== null) {
+			onConnect(protocol, response);
+		}
+	}
+	
+	function onConnectionEnd(appCode, statusCode, error, reason) {
+		connection = null;
+		
+		if(state === STATE_CLOSED) {
+			if(onEnd !== null) {
+				onEnd(appCode, statusCode, error, reason);
+			}
+			return;
+		}
+		
+		// a server that accepts and closes right away (overloaded, 1013) is backed off from like a failed handshake
+		
+		if(Date.now() - connectDate >= minStableTime) {
+			failedAttemptCount = 0;
+			lastError = null;
+		} else {
+			++failedAttemptCount;
+			lastError = error;
+		}
+		
+		state = STATE_CONNECTING;
+		if(onDisconnect !== null) {
+			onDisconnect(appCode, statusCode, error, reason);
+		}
+		retry();
+	}
+	
+	// functions.internal
+	
+	function connect() {
+		reconnectTimer = null;
+		createClientConnection(clientOptions, onHandshake);
+	}
+	
+	function retry() {
+		if(state === STATE_CLOSED) return;
+		
+		if(failedAttemptCount >= maxReconnectAttempts) {
+			stop();
+			if(onEnd !== null) {
+				onEnd('RECONNECT_FAILED', CLOSE_CODE_ABNORMAL, lastError, '');
+			}
+			return;
+		}
+		
+		// exponential backoff, jitter takes a random share off each delay
+		
+		const delay = Math.min(
+			maxReconnectDelay,
+			minReconnectDelay * (reconnectDelayFactor ** failedAttemptCount)
+		);
+		reconnectTimer = setTimeout(connect, delay * (1 - reconnectJitter * Math.random()));
+	}
+	
+	function stop() {
+		state = STATE_CLOSED;
+		clearTimeout(reconnectTimer);
+		reconnectTimer = null;
+		queue.length = 0; // free memory
+	}
+	
+	function send(isText, data) {
+		if(state === STATE_CLOSED) return false;
+		
+		if(connection !== null && connection.isOpen()) {
+			return isText ? connection.sendTextMessage(data) : connection.sendBinaryMessage(data);
+		}
+		
+		if(queue.length >= maxQueueSize) {
+			throw Error('ERR_QUEUE_FULL');
+		}
+		queue.push({ isText, data });
+		return true;
+	}
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+// import
+
+const { isUtf8: isUtf8Native } = require('buffer'); // nodejs 18.14+, simd accelerated
+
+// static
+
+const MAX_SEQUENCE_LENGTH = 4;
+
+// export
+
+module.exports = {
+	Utf8Validator,
+	isValidUtf8,
+	isWellFormedString,
+};
+
+// functions
+
+function Utf8Validator() {
+	
+	// state.internal
+	
+	let tail = null; // leading bytes of a code point split across chunks
+	
+	// public
+	
+	Object.assign(this, {
+		write,
+		end,
+	});
+	
+	// functions.public
+	
+	function write(buffer) {
+		let start = 0;
+		
+		// complete a code point split across chunks first
+		
+		if(tail !== null) {
+			const missingLength = getSequenceLength(tail[0]) - tail.byteLength;
+			start = Math.min(missingLength, buffer.byteLength);
+			const sequence = Buffer.concat([ tail, buffer.slice(0, start) ]);
+			if(start < missingLength) {
+				tail = sequence;
+				return isValidPrefix(sequence);
+			}
+			tail = null;
+			if(!isValidUtf8(sequence)) return false;
+		}
+		
+		// validate whole code points, keep an incomplete one at the end for the next chunk
+		
+		const tailStart = getIncompleteTailStart(buffer, start);
+		if(!isValidUtf8(start === 0 && tailStart === buffer.byteLength
+			? buffer
+			: buffer.slice(start, tailStart)
+		)) {
+			return false;
+		}
+		if(tailStart < buffer.byteLength) {
+			tail = Buffer.from(buffer.slice(tailStart));
+			return isValidPrefix(tail);
+		}
+		return true;
+	}
+	
+	function end() {
+		const isComplete = tail === null;
+		tail = null;
+		return isComplete;
+	}
+}
+
+function isValidUtf8(buffer) {
+	return isUtf8Native !== undefined ? isUtf8Native(buffer) : isValidUtf8Js(buffer);
+}
+
+function isValidUtf8Js(buffer) {
+	const { byteLength } = buffer;
+	
+	let i = 0;
+	while(i < byteLength) {
+		const byte0 = buffer[i];
+		
+		// 1 byte, ascii
+		if(byte0 < 0x80) {
+			++i;
+			continue;
+		}
+		
+		const sequenceLength = getSequenceLength(byte0);
+		if(sequenceLength === 0 || i + sequenceLength > byteLength) return false;
+		if(!isValidSecondByte(byte0, buffer[i + 1])) return false;
+		for(let j = 2; j < sequenceLength; ++j) {
+			if(!isContinuationByte(buffer[i + j])) return false;
+		}
+		i += sequenceLength;
+	}
+	
+	return true;
+}
+
+function isWellFormedString(string) {
+	if(typeof string.isWellFormed === 'function') {
+		return string.isWellFormed(); // nodejs 20+
+	}
+	// no lone surrogates: high not followed by low, low not preceded by high
+	return !/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(string);
+}
+
+function getIncompleteTailStart(buffer, start) {
+	const { byteLength } = buffer;
+	
+	// find the lead byte among the last bytes, unless they are all continuation bytes
+	
+	for(let i = byteLength - 1; i >= start && i > byteLength - MAX_SEQUENCE_LENGTH; --i) {
+		if(isContinuationByte(buffer[i])) continue;
+		const sequenceLength = getSequenceLength(buffer[i]);
+		return sequenceLength > byteLength - i ? i : byteLength;
+	}
+	return byteLength;
+}
+
+function isValidPrefix(sequence) {
+	const { byteLength } = sequence;
+	const sequenceLength = getSequenceLength(sequence[0]);
+	
+	if(sequenceLength === 0 || byteLength >= sequenceLength) return false;
+	if(byteLength > 1 && !isValidSecondByte(sequence[0], sequence[1])) return false;
+	if(byteLength > 2 && !isContinuationByte(sequence[2])) return false;
+	return true;
+}
+
+function getSequenceLength(byte0) {
+	
+	// RFC 3629 [4] C0, C1 and F5-FF never appear, 80-BF are continuation bytes
+	
+	if(byte0 < 0x80) return 1;
+	if(byte0 >= 0xC2 && byte0 <= 0xDF) return 2;
+	if(byte0 >= 0xE0 && byte0 <= 0xEF) return 3;
+	if(byte0 >= 0xF0 && byte0 <= 0xF4) return 4;
+	return 0;
+}
+
+function isValidSecondByte(byte0, byte1) {
+	
+	// RFC 3629 [4] no overlong forms, no surrogates (ED A0-BF), nothing above U+10FFFF
+	
+	switch(byte0) {
+		case 0xE0: return byte1 >= 0xA0 && byte1 <= 0xBF;
+		case 0xED: return byte1 >= 0x80 && byte1 <= 0x9F;
+		case 0xF0: return byte1 >= 0x90 && byte1 <= 0xBF;
+		case 0xF4: return byte1 >= 0x80 && byte1 <= 0x8F;
+		default: return isContinuationByte(byte1);
+	}
+}
+
+function isContinuationByte(byte) {
+	return (byte & 0xC0) === 0x80;
+}
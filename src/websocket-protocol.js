@@ -2,9 +2,18 @@
 
 // import
 
+const Http = require('http');
+const Http2 = require('http2');
 const Net = require('net');
 const Tls = require('tls');
 const Crypto = require('crypto');
+const Stream = require('stream');
+const EventEmitter = require('events');
+const DiagnosticsChannel = requireOptional('diagnostics_channel'); // Node.js 15.1+, 14.17+
+
+const { PerMessageDeflate } = require('./permessage-deflate');
+const { createProxySocketFactory } = require('./proxy-tunnel');
+const { Utf8Validator, isValidUtf8, isWellFormedString } = require('./utf8-validation');
 
 // static
 
@@ -15,7 +24,37 @@ const WEB_SOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC-6455 [1.3
 const HANDSHAKE_KEY_SIZE = 16;
 const HANDSHAKE_KEY_BASE64_SIZE = getBase64Length(HANDSHAKE_KEY_SIZE);
 const MASKING_KEY_SIZE = 4;
+const MAX_FRAME_HEADER_SIZE = 2 + 8 + MASKING_KEY_SIZE;
+const MAX_CONTROL_FRAME_PAYLOAD_SIZE = 125;
 const STATUS_CODE_UPGRADED = 101;
+const MAX_HANDSHAKE_HEADER_SIZE = 16 * 1024; // same default as nodejs --max-http-header-size
+const HEADER_END = Buffer.from(CRLF + CRLF);
+
+// URL scheme -> is secure, ws: and wss: are RFC 6455 [3], http: and https: are accepted as well
+const URL_SCHEMES = {
+	'ws:': false,
+	'wss:': true,
+	'http:': false,
+	'https:': true,
+};
+const DEFAULT_PORT = 80;
+const DEFAULT_SECURE_PORT = 443;
+
+const REDIRECT_STATUS_CODES = [ 301, 302, 303, 307, 308 ];
+const MAX_REDIRECTS = 10;
+const MAX_ERROR_BODY_SIZE = 64 * 1024; // bytes of a refused handshake response body kept for the error
+// request headers not passed on when a redirect leads to another host
+const CREDENTIAL_HEADERS = [ 'authorization', 'cookie', 'proxy-authorization' ];
+// RFC 9113 [8.2.2] connection-specific header fields are not allowed in HTTP/2
+const HTTP2_CONNECTION_HEADERS = [ 'connection', 'upgrade', 'keep-alive', 'proxy-connection', 'transfer-encoding' ];
+const MAX_CLOSE_REASON_SIZE = 123; // control frame payload limit minus 2-byte status code
+const CLOSE_TIMEOUT_MS = 5000;
+const MAX_MESSAGE_SIZE = 100 * 1024 * 1024; // default limit of incoming messages
+const HIGH_WATER_MARK = 16 * 1024; // default outgoing bytes buffered before senders should pause
+const FRAGMENT_SIZE = 64 * 1024; // default payload bytes per frame of streamed messages
+const MAX_PENDING_PINGS = 16; // sent pings remembered to measure round-trip time
+const HEARTBEAT_MAX_MISSED_PONGS = 2;
+const ITERATOR_HIGH_WATER_MARK = 16; // messages received ahead of an async iterator before parsing pauses
 
 const OPCODE_CONTINUATION_FRAME = 0x0;
 const OPCODE_TEXT_FRAME = 0x1;
@@ -24,6 +63,43 @@ const OPCODE_CONNECTION_CLOSE = 0x8;
 const OPCODE_PING = 0x9;
 const OPCODE_PONG = 0xA;
 
+
+const CLOSE_CODE_NORMAL = 1000;
+const CLOSE_CODE_GOING_AWAY = 1001;
+const CLOSE_CODE_NO_STATUS = 1005; // RFC 6455 [7.4.1] never sent in a close frame
+const CLOSE_CODE_ABNORMAL = 1006; // RFC 6455 [7.4.1] never sent in a close frame
+
+const STATE_OPEN = 'OPEN';
+const STATE_CLOSING = 'CLOSING';
+const STATE_CLOSED = 'CLOSED';
+
+const BACKPRESSURE_POLICY_NONE = 'none'; // only report through send return values and onDrain
+const BACKPRESSURE_POLICY_REJECT = 'reject'; // sends past the high-water mark throw
+const BACKPRESSURE_POLICY_CLOSE = 'close'; // sends past the high-water mark close the connection
+
+const RATE_LIMIT_POLICY_DROP = 'drop'; // messages and control frames past a limit are ignored
+const RATE_LIMIT_POLICY_PAUSE = 'pause'; // reading pauses until the peer is within its limits again
+const RATE_LIMIT_POLICY_CLOSE = 'close'; // the connection is failed with 1008
+
+// private connection option of the promise handshakes, their callers attach listeners after an await
+const DEFER_PARSING = Symbol('deferParsing');
+
+// remote address -> open connections, of every serverUpgradeRequest not given its own Map
+const CONNECTIONS_PER_IP = new Map();
+
+// diagnostics_channel events, published only while subscribed to
+const HANDSHAKE_CHANNEL = createChannel('websocket-protocol:handshake'); // { isServer, url, request, connection, protocol }
+const HANDSHAKE_ERROR_CHANNEL = createChannel('websocket-protocol:handshake-error'); // { isServer, url, request, code, error }
+const PROTOCOL_ERROR_CHANNEL = createChannel('websocket-protocol:protocol-error'); // { connection, appCode, statusCode, error }
+const CLOSE_CHANNEL = createChannel('websocket-protocol:close'); // { connection, appCode, statusCode, error, reason }
+
+// RFC 6455 [9.1] extension-list element: token [ "=" ( token | quoted-string ) ] followed by ";" or ","
+const EXTENSION_ELEMENT_PATTERN = new RegExp([
+	/\s*([!#$%&'*+\-.^_`|~0-9A-Za-z]+)\s*/.source,
+	/(?:=\s*(?:([!#$%&'*+\-.^_`|~0-9A-Za-z]+)|"((?:[^"\\]|\\.)*)")\s*)?/.source,
+	/(;|,|$)/.source,
+].join(''), 'y');
+
 const FRAME_DATA_PING_UNMASKED = createHeaderOnlyUnmaskedFrame(OPCODE_PING);
 const FRAME_DATA_PONG_UNMASKED = createHeaderOnlyUnmaskedFrame(OPCODE_PONG);
 const FRAME_DATA_PING_MASKED = createHeaderOnlyMaskedFrame(OPCODE_PING);
@@ -33,7 +109,13 @@ const FRAME_DATA_PONG_MASKED = createHeaderOnlyMaskedFrame(OPCODE_PONG);
 
 module.exports = {
 	createClientConnection,
+	createClientConnectionAsync,
 	serverUpgradeRequest,
+	serverUpgradeRequestAsync,
+	serverConnectRequest,
+	rejectUpgradeRequest,
+	prepareMessage,
+	PerMessageDeflate,
 };
 
 // functions
@@ -42,7 +124,20 @@ function createClientConnection({
 	url = 'http://127.0.0.1:80',
 	headers = {},
 	protocols = [],
-}, callback) {
+	perMessageDeflate = false,
+	extensions = [],
+	maxMessageSize = MAX_MESSAGE_SIZE,
+	maxHandshakeHeaderSize = MAX_HANDSHAKE_HEADER_SIZE, // bytes of server response status line and headers
+	tlsOptions = {}, // passed to tls.connect for secure schemes: ca, cert, key, servername, rejectUnauthorized...
+	socketPath = null, // connect to a unix domain socket (or windows named pipe) instead of the URL host
+	proxy = null, // HTTP proxy URL to tunnel through with CONNECT, credentials for basic auth
+	createSocket = null, // (target, callback) supplies the connected duplex stream to the target instead
+	handshakeTimeout = 0, // milliseconds from connecting until the handshake completes, 0 waits forever
+	followRedirects = false,
+	maxRedirects = MAX_REDIRECTS,
+	http2 = false, // RFC 8441 extended CONNECT: true opens an HTTP/2 session, or pass a ClientHttp2Session to share
+	...connectionOptions
+}, onHandshakeDone) {
 	const {
 		protocol,
 		host,
@@ -52,28 +147,116 @@ function createClientConnection({
 		search,
 	} = new URL(url);
 	
-	const isHttps = protocol === 'https:';
-	const inferredPort = port !== '' ? Number(port) : isHttps ? 433 : 80;
+	if(!(protocol in URL_SCHEMES)) {
+		throw Error('ERR_URL_SCHEME');
+	}
+	
+	const isSecure = URL_SCHEMES[protocol];
+	const inferredPort = port !== '' ? Number(port) : isSecure ? DEFAULT_SECURE_PORT : DEFAULT_PORT;
+	const inferredHost = hostname.startsWith('[') ? hostname.slice(1, -1) : hostname; // IPv6 literal
+	
+	// RFC 6066 [3] server name indication is for host names only
+	const servername = Net.isIP(inferredHost) === 0 ? inferredHost : undefined;
+	
+	const socketFactory = createSocket !== null ? createSocket
+		: proxy !== null ? createProxySocketFactory(proxy)
+		: null;
+	if(http2 !== false && (socketFactory !== null || socketPath !== null)) {
+		throw Error('ERR_HTTP2_TRANSPORT'); // HTTP/2 sessions connect by themselves
+	}
 	
 	const requestHeaders = toLowerCaseKeys(headers);
 	
-	Crypto.randomBytes(HANDSHAKE_KEY_SIZE, onRandomBytes);
+	const offeredExtensions = createExtensions(perMessageDeflate, extensions, false, maxMessageSize);
+	
+	// the handshake ends once: with a connection, an error, or a timeout
+	let isHandshakeDone = false;
+	let socket = null; // or the Http2Stream of the CONNECT request
+	let pendingTransport = null; // returned by socketFactory until it calls back, e.g. a socket to a proxy
+	let ownSession = null; // HTTP/2 session opened for this connection, closed with it
+	const handshakeTimer = handshakeTimeout > 0
+		? setTimeout(onHandshakeTimeout, handshakeTimeout)
+		: null;
+	
+	if(http2 !== false) {
+		connectHttp2();
+	} else {
+		Crypto.randomBytes(HANDSHAKE_KEY_SIZE, onRandomBytes);
+	}
 	
 	// functions
 	
+	function callback(error, ...results) {
+		if(isHandshakeDone) return;
+		isHandshakeDone = true;
+		clearTimeout(handshakeTimer);
+		publishHandshake(false, url, null, error, ...results);
+		return onHandshakeDone(error, ...results);
+	}
+	
+	function onHandshakeTimeout() {
+		if(pendingTransport !== null) {
+			pendingTransport.destroy();
+		}
+		if(socket !== null) {
+			socket.destroy();
+		}
+		if(ownSession !== null) {
+			ownSession.destroy();
+		}
+		return callback(Error('ERR_HANDSHAKE_TIMEOUT'));
+	}
+	
 	function onRandomBytes(error, buffer) {
 		if(error) return callback(error);
+		if(isHandshakeDone) return; // timed out meanwhile
 		const secWebSocketKey = buffer.toString('base64');
 		
-		const socket = (isHttps ? Tls : Net).connect({
-			host: hostname,
-			port: inferredPort,
-		}, onConnected);
-		socket.on('end', onHandshakeEnd);
-		socket.on('error', onHandshakeError);
+		// server response, buffered until complete
+		const responseChunks = [];
+		let responseLength = 0;
+		
+		if(socketFactory !== null) {
+			const transport = socketFactory({ host: inferredHost, port: inferredPort, socketPath, isSecure }, onTransport);
+			
+			// a factory that returns what it is still connecting lets timeouts cancel it
+			
+			if(!isHandshakeDone && socket === null && transport && typeof transport.destroy === 'function') {
+				pendingTransport = transport;
+			}
+		} else {
+			const address = socketPath !== null
+				? { path: socketPath }
+				: { host: inferredHost, port: inferredPort };
+			useSocket(isSecure
+				? Tls.connect({ servername, ...tlsOptions, ...address }, onConnected)
+				: Net.connect(address, onConnected)
+			);
+		}
 		
 		// functions
 		
+		function onTransport(error, transport) {
+			pendingTransport = null;
+			if(error) return callback(error);
+			if(isHandshakeDone) return transport.destroy(); // timed out meanwhile
+			
+			// secure schemes are layered over the supplied stream
+			
+			if(isSecure) {
+				return useSocket(Tls.connect({ servername, ...tlsOptions, socket: transport }, onConnected));
+			}
+			useSocket(transport);
+			onConnected();
+		}
+		
+		function useSocket(it) {
+			socket = it;
+			if(isHandshakeDone) return socket.destroy(); // timed out meanwhile
+			socket.on('end', onHandshakeEnd);
+			socket.on('error', onHandshakeError);
+		}
+		
 		function onConnected() {
 			Object.assign(requestHeaders, {
 				'host': host,
@@ -83,9 +266,7 @@ function createClientConnection({
 				'sec-websocket-version': '13',
 			});
 			
-			if(protocols.length > 0) {
-				requestHeaders['sec-websocket-protocol'] = protocols.join(', ');
-			}
+			Object.assign(requestHeaders, createOfferHeaders());
 			
 			// be prepared to listen to server handshake response
 			
@@ -102,19 +283,37 @@ function createClientConnection({
 		
 		function onServerHandshake(buffer) {
 			
+			// the response may arrive in any number of chunks, frames may follow it in the last one
+			
+			responseChunks.push(buffer);
+			responseLength += buffer.byteLength;
+			
+			const response = responseChunks.length === 1 ? buffer : Buffer.concat(responseChunks, responseLength);
+			const headerEndIndex = response.indexOf(HEADER_END, Math.max(0, responseLength - buffer.byteLength - 3));
+			if(headerEndIndex === -1) {
+				if(responseLength > maxHandshakeHeaderSize) {
+					return failHandshake(Error('ERR_HEADERS_TOO_LARGE'));
+				}
+				responseChunks.splice(0, responseChunks.length, response); // wait for next chunk
+				return;
+			}
+			if(headerEndIndex > maxHandshakeHeaderSize) {
+				return failHandshake(Error('ERR_HEADERS_TOO_LARGE'));
+			}
+			responseChunks.length = 0; // free memory
+			
 			// pass event listener control to WebSocketConnection if success, else just remove
 			
-			socket.removeListener('end', onHandshakeEnd);
-			socket.removeListener('error', onHandshakeError);
-			socket.removeListener('data', onServerHandshake);
+			removeHandshakeListeners();
 			
-			const [ statusLine, ...lines ] = buffer.toString('utf8').split(CRLF);
+			const [ statusLine, ...lines ] = response.toString('latin1', 0, headerEndIndex).split(CRLF);
+			const head = response.slice(headerEndIndex + HEADER_END.byteLength);
 			
 			// must have HTTP status line
 			
-			const match = statusLine.match(/^HTTP\/([0-9]+)\.([0-9]+) ([1-5][0-9]{2}) (.*?)$/);
+			const match = statusLine.match(/^HTTP\/([0-9]+)\.([0-9]+) ([1-5][0-9]{2})(?: (.*))?$/);
 			if(match === null) {
-				return callback(Error('ERR_NOT_HTTP_SERVER'));
+				return failHandshake(Error('ERR_NOT_HTTP_SERVER'));
 			}
 			
 			// HTTP version must be 1.1 or greater
@@ -126,58 +325,311 @@ function createClientConnection({
 				httpVersionMajor > 1 ||
 				(httpVersionMajor === 1 && httpVersionMinor >= 1)
 			)) {
-				return callback(Error('ERR_HTTP_VERSION'));
-			}
-			
-			// status code must be 101
-			
-			const statusCode = Number(match[3]);
-			
-			if(!(statusCode === STATUS_CODE_UPGRADED)) {
-				return callback(Error('ERR_STATUS_CODE_NOT_UPGRADED'));
+				return failHandshake(Error('ERR_HTTP_VERSION'));
 			}
 			
-			// parse response headers...
+			// parse response headers, repeated headers are joined like nodejs does
 			
 			const responseHeaders = {};
 			for(let i = 0, { length } = lines; i < length; ++i) {
 				const line = lines[i].trim();
-				if(line === '') break;
 				const indexOfColon = line.indexOf(':');
 				if(indexOfColon === -1) {
-					return callback(Error('ERR_HEADERS'));
+					return failHandshake(Error('ERR_HEADERS'));
 				}
 				const headerId = line.slice(0, indexOfColon).trim().toLowerCase();
 				const headerValue = line.slice(indexOfColon + 1).trim();
-				responseHeaders[headerId] = headerValue;
+				responseHeaders[headerId] = headerId in responseHeaders
+					? responseHeaders[headerId] + ', ' + headerValue
+					: headerValue;
+			}
+			
+			// status code must be 101, else redirect or report the response
+			
+			const statusCode = Number(match[3]);
+			const statusMessage = match[4] || '';
+			
+			if(!(statusCode === STATUS_CODE_UPGRADED)) {
+				if(followRedirects && REDIRECT_STATUS_CODES.includes(statusCode) && 'location' in responseHeaders) {
+					socket.destroy();
+					return redirect(responseHeaders['location'], statusCode, statusMessage, responseHeaders);
+				}
+				return readHttpBody(socket, head, responseHeaders, MAX_ERROR_BODY_SIZE, body => {
+					failHandshake(createResponseError(
+						'ERR_STATUS_CODE_NOT_UPGRADED',
+						statusCode,
+						statusMessage,
+						responseHeaders,
+						body
+					));
+				});
 			}
 			
 			// required: upgrade: websocket
 			const upgrades = getHttpHeaderAsArray(responseHeaders, 'upgrade', true);
 			if(!upgrades.includes('websocket')) {
-				return callback(Error('ERR_UPGRADE_HEADER'));
+				return failHandshake(Error('ERR_UPGRADE_HEADER'));
 			}
 			
 			// required: connection: upgrade
 			const connections = getHttpHeaderAsArray(responseHeaders, 'connection', true);
 			if(!connections.includes('upgrade')) {
-				return callback(Error('ERR_CONNECTION_HEADER'));
+				return failHandshake(Error('ERR_CONNECTION_HEADER'));
 			}
 			
 			// required: sec-websocket-accept: magic (according to RFC-6455)
 			const secWebSocketAccept = responseHeaders['sec-websocket-accept'] || '';
 			if(!(secWebSocketAccept === createSHA1HashBase64(secWebSocketKey + WEB_SOCKET_GUID))) {
-				return callback(Error('ERR_INVALID_ACCEPT'));
+				return failHandshake(Error('ERR_INVALID_ACCEPT'));
 			}
 			
-			// optional: server may select a protocol the client sent during the handshake
-			const secWebSocketProtocol = headers['sec-websocket-protocol'] || null;
+			const negotiation = negotiateResponse(responseHeaders);
+			if(negotiation instanceof Error) {
+				return failHandshake(negotiation);
+			}
+			const { secWebSocketProtocol, acceptedExtensions } = negotiation;
 			
-			return callback(null, new WebSocketConnection({
+			const webSocketConnection = new WebSocketConnection({
+				...connectionOptions,
+				maxMessageSize,
+				socket,
+				isPeerMaskingRequired: false,
+				toMaskOwnMessages: true,
+				extensions: acceptedExtensions,
+			});
+			callback(null, webSocketConnection, secWebSocketProtocol, {
+				httpVersion: match[1] + '.' + match[2],
+				statusCode,
+				statusMessage,
+				headers: responseHeaders,
+			});
+			
+			// frames sent along with the response, parsed once the caller had the chance to set handlers
+			
+			if(head.byteLength > 0 && webSocketConnection.getState() !== STATE_CLOSED) {
+				socket.unshift(head);
+			}
+		}
+		
+		function removeHandshakeListeners() {
+			socket.removeListener('end', onHandshakeEnd);
+			socket.removeListener('error', onHandshakeError);
+			socket.removeListener('data', onServerHandshake);
+		}
+		
+		function failHandshake(error) {
+			removeHandshakeListeners();
+			socket.destroy();
+			return callback(error);
+		}
+	}
+	
+	function redirect(location, statusCode, statusMessage, responseHeaders) {
+		const createError = errorId => createResponseError(errorId, statusCode, statusMessage, responseHeaders, null);
+		if(maxRedirects <= 0) {
+			return callback(createError('ERR_TOO_MANY_REDIRECTS'));
+		}
+		
+		let redirectUrl = null;
+		try {
+			redirectUrl = new URL(location, url);
+		} catch(error) {
+			return callback(createError('ERR_REDIRECT_LOCATION'));
+		}
+		if(!(redirectUrl.protocol in URL_SCHEMES)) {
+			return callback(createError('ERR_REDIRECT_LOCATION'));
+		}
+		
+		// credentials are only for the host they were given for
+		
+		const isSameHost = redirectUrl.host === host;
+		const redirectHeaders = isSameHost
+			? headers
+			: Object.fromEntries(Object.entries(headers).filter(([ headerId ]) => (
+				!CREDENTIAL_HEADERS.includes(headerId.toLowerCase())
+			)));
+		
+		// the redirected handshake reports to the caller instead
+		
+		isHandshakeDone = true;
+		clearTimeout(handshakeTimer);
+		return createClientConnection({
+			...connectionOptions,
+			url: redirectUrl.href,
+			headers: redirectHeaders,
+			protocols,
+			perMessageDeflate,
+			extensions,
+			maxMessageSize,
+			maxHandshakeHeaderSize,
+			tlsOptions,
+			socketPath: isSameHost ? socketPath : null,
+			proxy,
+			createSocket,
+			handshakeTimeout,
+			followRedirects,
+			maxRedirects: maxRedirects - 1,
+		}, onHandshakeDone);
+	}
+	
+	function createOfferHeaders() {
+		const offerHeaders = {};
+		if(protocols.length > 0) {
+			offerHeaders['sec-websocket-protocol'] = protocols.join(', ');
+		}
+		if(offeredExtensions.length > 0) {
+			offerHeaders['sec-websocket-extensions'] = offeredExtensions.map(extension => (
+				serializeExtension(extension.getName(), extension.createOffer())
+			)).join(', ');
+		}
+		return offerHeaders;
+	}
+	
+	function negotiateResponse(responseHeaders) {
+		// optional: server may select a protocol the client sent during the handshake
+		const secWebSocketProtocol = responseHeaders['sec-websocket-protocol'] || null;
+		// RFC 6455 [4.1] a protocol that was not offered fails the connection
+		if(secWebSocketProtocol !== null && !protocols.includes(secWebSocketProtocol)) {
+			return Error('ERR_PROTOCOL');
+		}
+		
+		// optional: server may accept an extension the client offered during the handshake
+		const secWebSocketExtensions = parseExtensionsHeader(
+			responseHeaders['sec-websocket-extensions'] || ''
+		);
+		if(secWebSocketExtensions === null) {
+			return Error('ERR_EXTENSIONS_HEADER');
+		}
+		// RFC 6455 [9.1] each accepted extension must have been offered, order is the server's
+		const acceptedExtensions = [];
+		for(let i = 0, { length } = secWebSocketExtensions; i < length; ++i) {
+			const { name, params } = secWebSocketExtensions[i];
+			const extension = offeredExtensions.find(it => it.getName() === name);
+			if(!(
+				extension !== undefined &&
+				!acceptedExtensions.includes(extension) &&
+				extension.acceptResponse(params)
+			)) {
+				return Error('ERR_EXTENSION');
+			}
+			acceptedExtensions.push(extension);
+		}
+		
+		return { secWebSocketProtocol, acceptedExtensions };
+	}
+	
+	function connectHttp2() {
+		
+		// RFC 8441 [3] extended CONNECT is only allowed once the server sent SETTINGS_ENABLE_CONNECT_PROTOCOL
+		
+		if(http2 === true) {
+			ownSession = Http2.connect((isSecure ? 'https://' : 'http://') + host, { servername, ...tlsOptions });
+			ownSession.on('error', onHandshakeError); // after the handshake, the stream reports to the connection
+		}
+		const session = ownSession !== null ? ownSession : http2;
+		
+		if(session.remoteSettings.enableConnectProtocol) {
+			return sendConnectRequest();
+		}
+		session.once('remoteSettings', onRemoteSettings);
+		session.once('close', onSessionClose);
+		
+		// functions
+		
+		function onRemoteSettings({ enableConnectProtocol }) {
+			session.removeListener('close', onSessionClose);
+			if(isHandshakeDone) return; // timed out meanwhile
+			if(!enableConnectProtocol) {
+				return failHttp2Handshake(Error('ERR_HTTP2_CONNECT_PROTOCOL'));
+			}
+			sendConnectRequest();
+		}
+		
+		function onSessionClose() {
+			session.removeListener('remoteSettings', onRemoteSettings);
+			return callback(Error('ERR_SOCKET_CLOSED_DURING_HANDSHAKE'));
+		}
+		
+		function sendConnectRequest() {
+			
+			// RFC 8441 [4] the request is a CONNECT with :protocol, :scheme and :path,
+			// without the Sec-WebSocket-Key and Upgrade of HTTP/1.1
+			
+			socket = session.request(Object.assign({}, requestHeaders, createOfferHeaders(), {
+				':method': 'CONNECT',
+				':protocol': 'websocket',
+				':scheme': isSecure ? 'https' : 'http',
+				':path': pathname + search,
+				':authority': host,
+				'sec-websocket-version': '13',
+			}), { endStream: false });
+			socket.on('error', failHttp2Handshake);
+			socket.on('end', onStreamEnd);
+			socket.on('response', onConnectResponse);
+		}
+		
+		function onStreamEnd() {
+			return failHttp2Handshake(Error('ERR_SOCKET_CLOSED_DURING_HANDSHAKE'));
+		}
+		
+		function onConnectResponse(pseudoAndResponseHeaders) {
+			socket.removeListener('error', failHttp2Handshake);
+			socket.removeListener('end', onStreamEnd);
+			
+			const statusCode = pseudoAndResponseHeaders[':status'];
+			const statusMessage = Http.STATUS_CODES[statusCode] || '';
+			const responseHeaders = {};
+			Object.keys(pseudoAndResponseHeaders)
+			.filter(headerId => !headerId.startsWith(':'))
+			.forEach(headerId => responseHeaders[headerId] = pseudoAndResponseHeaders[headerId]);
+			
+			// RFC 8441 [5] any 2xx status code opens the tunnel
+			
+			if(!(statusCode >= 200 && statusCode < 300)) {
+				return readHttpBody(socket, Buffer.alloc(0), responseHeaders, MAX_ERROR_BODY_SIZE, body => {
+					failHttp2Handshake(createResponseError(
+						'ERR_STATUS_CODE_NOT_UPGRADED',
+						statusCode,
+						statusMessage,
+						responseHeaders,
+						body
+					));
+				});
+			}
+			
+			const negotiation = negotiateResponse(responseHeaders);
+			if(negotiation instanceof Error) {
+				return failHttp2Handshake(negotiation);
+			}
+			const { secWebSocketProtocol, acceptedExtensions } = negotiation;
+			
+			if(ownSession !== null) {
+				socket.on('close', () => ownSession.close());
+			}
+			
+			callback(null, new WebSocketConnection({
+				...connectionOptions,
+				maxMessageSize,
 				socket,
 				isPeerMaskingRequired: false,
 				toMaskOwnMessages: true,
-			}), secWebSocketProtocol);
+				extensions: acceptedExtensions,
+			}), secWebSocketProtocol, {
+				httpVersion: '2.0',
+				statusCode,
+				statusMessage,
+				headers: responseHeaders,
+			});
+		}
+		
+		function failHttp2Handshake(error) {
+			if(socket !== null) {
+				socket.destroy();
+			}
+			if(ownSession !== null) {
+				ownSession.destroy();
+			}
+			return callback(error);
 		}
 	}
 	
@@ -190,17 +642,18 @@ function createClientConnection({
 	}
 }
 
-function serverUpgradeRequest(request, socket, {
-	selectProtocol = defaultSelectProtocol,
-	headers = {},
-} = {}, callback) {
+function serverUpgradeRequest(request, socket, protocolOptions = {}, onHandshakeDone) {
 	const { method, httpVersionMajor, httpVersionMinor, headers: requestHeaders } = request;
+	const callback = (error, ...results) => {
+		publishHandshake(true, request.url, request, error, ...results);
+		return onHandshakeDone(error, ...results);
+	};
 	
-	// client handshake
+	// client handshake, refused requests call back with the status code and headers to respond with
 	
 	// RFC 6455 [4.1] onConnection [2] "The method of the request MUST be GET"
 	if(!(method === 'GET')) {
-		return callback(Error('ERR_METHOD'));
+		return callback(createRejectionError('ERR_METHOD', 405, { 'allow': 'GET' }));
 	}
 	
 	// RFC 6455 [4.1] onConnection [2] "the HTTP version MUST be at least 1.1"
@@ -208,21 +661,22 @@ function serverUpgradeRequest(request, socket, {
 		(httpVersionMajor > 1) ||
 		(httpVersionMajor === 1 && httpVersionMinor >= 1)
 	)) {
-		return callback(Error('ERR_HTTP_VERSION'));
+		return callback(createRejectionError('ERR_HTTP_VERSION', 505));
 	}
 	
 	// RFC 6455 [4.1] onConnection [5] "The request MUST contain an |Upgrade| header field
 	// whose value MUST include the "websocket" keyword."
 	const upgrades = getHttpHeaderAsArray(requestHeaders, 'upgrade', true);
 	if(!upgrades.includes('websocket')) {
-		return callback(Error('ERR_UPGRADE_HEADER'));
+		// RFC 9110 [15.5.22] a 426 response lists the protocols to upgrade to
+		return callback(createRejectionError('ERR_UPGRADE_HEADER', 426, { 'upgrade': 'websocket' }));
 	}
 	
 	// RFC 6455 [4.1] onConnection [6] "The request MUST contain a |Connection| header field
 	// whose value MUST include the "Upgrade" token."
 	const connections = getHttpHeaderAsArray(requestHeaders, 'connection', true);
 	if(!connections.includes('upgrade')) {
-		return callback(Error('ERR_CONNECTION_HEADER'));
+		return callback(createRejectionError('ERR_CONNECTION_HEADER', 400));
 	}
 	
 	// RFC 6455 [4.1] onConnection [7] The request MUST include a |Sec-WebSocket-Key| header field
@@ -232,88 +686,521 @@ function serverUpgradeRequest(request, socket, {
 		secWebSocketKey.length === HANDSHAKE_KEY_BASE64_SIZE &&
 		Buffer.from(secWebSocketKey, 'base64').byteLength === HANDSHAKE_KEY_SIZE
 	)) {
-		return callback(Error('ERR_WEBSOCKET_KEY'));
+		return callback(createRejectionError('ERR_WEBSOCKET_KEY', 400));
+	}
+	
+	return acceptWebSocketRequest(request, socket, protocolOptions, responseHeaders => {
+		
+		// server handshake
+		
+		socket.write([
+			'HTTP/1.1 ' + STATUS_CODE_UPGRADED + ' Switching Protocols',
+			...serializeHttpHeaders(Object.assign(responseHeaders, {
+				'upgrade': 'websocket',
+				'connection': 'upgrade',
+				'sec-websocket-accept': createSHA1HashBase64(secWebSocketKey + WEB_SOCKET_GUID),
+			})),
+			CRLF,
+		].join(CRLF));
+	}, callback);
+}
+
+function serverConnectRequest(stream, requestHeaders, protocolOptions = {}, onHandshakeDone) {
+	
+	// an http2 server 'stream' event, the server must send SETTINGS_ENABLE_CONNECT_PROTOCOL:
+	// http2.createServer({ settings: { enableConnectProtocol: true } })
+	
+	const request = {
+		method: requestHeaders[':method'],
+		url: requestHeaders[':path'],
+		httpVersion: '2.0',
+		headers: requestHeaders,
+		stream,
+	};
+	const callback = (error, ...results) => {
+		publishHandshake(true, request.url, request, error, ...results);
+		return onHandshakeDone(error, ...results);
+	};
+	
+	// RFC 8441 [4] "A new pseudo-header field :protocol MAY be included on request HEADERS
+	// indicating the desired protocol to be spoken on the tunnel created by CONNECT."
+	if(!(request.method === 'CONNECT')) {
+		return callback(createRejectionError('ERR_METHOD', 405, { 'allow': 'CONNECT' }), null, null, request);
+	}
+	if(!(requestHeaders[':protocol'] === 'websocket')) {
+		return callback(createRejectionError('ERR_CONNECT_PROTOCOL', 400), null, null, request);
+	}
+	
+	// RFC 8441 [4] "On requests that contain the :protocol pseudo-header field,
+	// the :scheme and :path pseudo-header fields of the target URI MUST also be included."
+	if(!(requestHeaders[':scheme'] && requestHeaders[':path'] && requestHeaders[':authority'])) {
+		return callback(createRejectionError('ERR_PSEUDO_HEADERS', 400), null, null, request);
 	}
 	
+	// RFC 8441 [5] no Sec-WebSocket-Key or Sec-WebSocket-Accept, a 2xx response opens the tunnel
+	
+	return acceptWebSocketRequest(request, stream, protocolOptions, responseHeaders => {
+		stream.respond(Object.assign(responseHeaders, {
+			':status': 200,
+		}));
+	}, (error, connection, protocol) => callback(error, connection, protocol, request));
+}
+
+function acceptWebSocketRequest(request, socket, {
+	selectProtocol = defaultSelectProtocol,
+	headers = {},
+	perMessageDeflate = false,
+	extensions = [],
+	maxMessageSize = MAX_MESSAGE_SIZE,
+	allowedOrigins = null, // Origin header values accepted from browsers, null for any
+	verifyClient = null, // (request, callback(error, isAccepted, statusCode, headers, body)) before the response
+	maxConnectionsPerIp = Infinity, // open sockets of one remote address, handshakes running included
+	connectionCounts = CONNECTIONS_PER_IP, // Map of remote address -> open sockets, to count per server
+	handshakeTimeout = 0, // milliseconds verifyClient and selectProtocol may take together, 0 waits forever
+	...connectionOptions
+}, writeResponse, onHandshakeDone) {
+	const { headers: requestHeaders } = request;
+	
+	// the handshake ends once: with a connection, an error, or a timeout of the application hooks
+	let isHandshakeDone = false;
+	const handshakeTimer = handshakeTimeout > 0
+		? setTimeout(onHandshakeTimeout, handshakeTimeout)
+		: null;
+	
+	// checks shared by HTTP/1.1 upgrades and HTTP/2 extended CONNECT requests
+	
 	// RFC 6455 [4.1] onConnection [9] "The request MUST include a header field with the name
 	// |Sec-WebSocket-Version|. The value of this header field MUST be 13."
 	// (versions 9-12 were drafts, versions 8 and earlier are obsolete)
 	if(!((requestHeaders['sec-websocket-version'] || '') === '13')) {
-		return callback(Error('ERR_WEBSOCKET_VERSION'));
+		// RFC 6455 [4.4] "the server MUST abort the WebSocket handshake described in this section and
+		// instead send an appropriate HTTP error code (such as 426 Upgrade Required) and
+		// a |Sec-WebSocket-Version| header field indicating the version(s) the server is capable of understanding."
+		return callback(createRejectionError('ERR_WEBSOCKET_VERSION', 426, { 'sec-websocket-version': '13' }));
 	}
 	
 	const secWebSocketProtocols = getHttpHeaderAsArray(requestHeaders, 'sec-websocket-protocol');
-	//const secWebSocketExtensions = getHttpHeaderAsArray(headers, 'sec-websocket-extensions');
-	// extensions are not supported in this implementation; TODO?
 	
-	selectProtocol(secWebSocketProtocols, (error, protocol) => {
-		if(error) return callback(error);
-		
-		// server handshake
-		
-		const responseHeaders = Object.assign(toLowerCaseKeys(headers), {
-			'upgrade': 'websocket',
-			'connection': 'upgrade',
-			'sec-websocket-accept': createSHA1HashBase64(secWebSocketKey + WEB_SOCKET_GUID),
+	// RFC 6455 [9.1] extensions the client offers, in order of its preference
+	const secWebSocketExtensions = parseExtensionsHeader(requestHeaders['sec-websocket-extensions'] || '');
+	if(secWebSocketExtensions === null) {
+		return callback(createRejectionError('ERR_EXTENSIONS_HEADER', 400));
+	}
+	
+	// RFC 6455 [10.2] browsers always send the origin of the page, other clients may send none and
+	// could send any, so a missing origin is accepted: the check protects browser users only
+	const origin = requestHeaders['origin'];
+	if(allowedOrigins !== null && origin !== undefined && !(
+		allowedOrigins.some(allowedOrigin => allowedOrigin.toLowerCase() === origin.toLowerCase())
+	)) {
+		return callback(createRejectionError('ERR_ORIGIN', 403));
+	}
+	
+	// a slot is taken before verifyClient runs and given back once the socket closes, whatever happened
+	const remoteAddress = getRemoteAddress(socket);
+	if(maxConnectionsPerIp < Infinity && remoteAddress !== undefined) {
+		const connectionCount = connectionCounts.get(remoteAddress) || 0;
+		if(connectionCount >= maxConnectionsPerIp) {
+			// RFC 6585 [4] Too Many Requests
+			return callback(createRejectionError('ERR_TOO_MANY_CONNECTIONS', 429));
+		}
+		connectionCounts.set(remoteAddress, connectionCount + 1);
+		socket.once('close', () => {
+			const remainingCount = connectionCounts.get(remoteAddress) - 1;
+			if(remainingCount > 0) {
+				connectionCounts.set(remoteAddress, remainingCount);
+			} else {
+				connectionCounts.delete(remoteAddress); // free memory
+			}
 		});
-		if(protocol !== null) {
-			responseHeaders['sec-websocket-protocol'] = protocol;
+	}
+	
+	if(verifyClient === null) {
+		return acceptRequest();
+	}
+	
+	// application checks (credentials, cookies) run before anything is sent
+	
+	verifyClient(request, (error, isAccepted, statusCode = 401, rejectionHeaders = {}, rejectionBody = '') => {
+		if(isHandshakeDone) return; // timed out meanwhile
+		if(error) {
+			return callback(Object.assign(error, { statusCode: error.statusCode || 500 }));
 		}
+		if(!isAccepted) {
+			return callback(createRejectionError('ERR_CLIENT_REJECTED', statusCode, rejectionHeaders, rejectionBody));
+		}
+		if(socket.destroyed) {
+			return callback(Error('ERR_SOCKET_CLOSED')); // client left while it was verified
+		}
+		return acceptRequest();
+	});
+	
+	// functions
+	
+	function callback(error, ...results) {
+		if(isHandshakeDone) return;
+		isHandshakeDone = true;
+		clearTimeout(handshakeTimer);
+		return onHandshakeDone(error, ...results);
+	}
+	
+	function onHandshakeTimeout() {
 		
-		socket.write([
-			'HTTP/1.1 ' + STATUS_CODE_UPGRADED + ' Switching Protocols',
-			...serializeHttpHeaders(responseHeaders),
-			CRLF,
-		].join(CRLF));
+		// the hooks are the server's own, so the client is told to try again later
 		
-		return callback(null, new WebSocketConnection({
-			socket,
-			isPeerMaskingRequired: true,
-			toMaskOwnMessages: false,
-		}), protocol);
-	});
+		return callback(createRejectionError('ERR_HANDSHAKE_TIMEOUT', 503));
+	}
+	
+	function acceptRequest() {
+		// each supported extension picks the first of its offers it can accept, if any
+		const acceptedExtensions = [];
+		const acceptedExtensionHeaders = [];
+		createExtensions(perMessageDeflate, extensions, true, maxMessageSize).forEach(extension => {
+			const name = extension.getName();
+			const params = extension.acceptOffers(
+				secWebSocketExtensions
+				.filter(offer => offer.name === name)
+				.map(offer => offer.params)
+			);
+			if(params !== null) {
+				acceptedExtensions.push(extension);
+				acceptedExtensionHeaders.push(serializeExtension(name, params));
+			}
+		});
+		
+		selectProtocol(secWebSocketProtocols, (error, protocol) => {
+			if(isHandshakeDone) return; // timed out meanwhile
+			if(error) return callback(error);
+			
+			const responseHeaders = toLowerCaseKeys(headers);
+			if(protocol !== null) {
+				responseHeaders['sec-websocket-protocol'] = protocol;
+			}
+			if(acceptedExtensions.length > 0) {
+				responseHeaders['sec-websocket-extensions'] = acceptedExtensionHeaders.join(', ');
+			}
+			
+			writeResponse(responseHeaders);
+			
+			return callback(null, new WebSocketConnection({
+				...connectionOptions,
+				maxMessageSize,
+				socket,
+				isPeerMaskingRequired: true,
+				toMaskOwnMessages: false,
+				extensions: acceptedExtensions,
+			}), protocol);
+		});
+	}
 }
 
-function getHttpHeaderAsArray(headers, headerId, toLowerCase = false) {
-	const stringArray = (
-		(headers[headerId] || '')
-		.split(',')
-		.map(it => it.trim())
-		.filter(it => it !== '')
-	);
-	return toLowerCase ? stringArray.map(it => it.toLowerCase()) : stringArray;
+function publishHandshake(isServer, url, request, error, connection = null, protocol = null) {
+	if(error) {
+		if(HANDSHAKE_ERROR_CHANNEL !== null && HANDSHAKE_ERROR_CHANNEL.hasSubscribers) {
+			HANDSHAKE_ERROR_CHANNEL.publish({ isServer, url, request, code: error.message, error });
+		}
+		return;
+	}
+	if(HANDSHAKE_CHANNEL !== null && HANDSHAKE_CHANNEL.hasSubscribers) {
+		HANDSHAKE_CHANNEL.publish({ isServer, url, request, connection, protocol });
+	}
 }
 
-function serializeHttpHeaders(headers) {
-	return Object.keys(headers).map(headerId => headerId + ': ' + headers[headerId]);
+function requireOptional(moduleName) {
+	try {
+		return require(moduleName);
+	} catch(error) {
+		return null;
+	}
 }
 
-function toLowerCaseKeys(mapObject) {
-	const copy = {};
-	Object.keys(mapObject).forEach(key => copy[key.toLowerCase()] = mapObject[key]);
-	return copy;
+function createChannel(name) {
+	
+	// no channel without diagnostics_channel, publishing is skipped then
+	
+	return DiagnosticsChannel === null ? null : DiagnosticsChannel.channel(name);
 }
 
-function getBase64Length(sourceStringLength) {
-	return Math.ceil(sourceStringLength / 3) * 4;
+function getRemoteAddress(socket) {
+	
+	// http2 streams share the socket of their session
+	
+	if(typeof socket.respond === 'function') {
+		return socket.session && socket.session.socket ? socket.session.socket.remoteAddress : undefined;
+	}
+	return socket.remoteAddress;
 }
 
-function defaultSelectProtocol(protocols, callback) {
-	return callback(null, null);
+function rejectUpgradeRequest(socket, error) {
+	if(socket.destroyed) return;
+	
+	// errors from serverUpgradeRequest carry their response, any other error is a bad request
+	
+	const {
+		statusCode = 400,
+		headers = {},
+		body = '',
+	} = error;
+	const bodyBuffer = Buffer.from(body);
+	
+	// http2 streams of serverConnectRequest respond with HEADERS and DATA frames
+	
+	if(typeof socket.respond === 'function') {
+		if(socket.headersSent) return socket.destroy();
+		const responseHeaders = toLowerCaseKeys(headers);
+		HTTP2_CONNECTION_HEADERS.forEach(headerId => delete responseHeaders[headerId]);
+		socket.respond(Object.assign(responseHeaders, {
+			':status': statusCode,
+			'content-length': bodyBuffer.byteLength,
+		}));
+		return socket.end(bodyBuffer);
+	}
+	
+	socket.end(Buffer.concat([
+		Buffer.from([
+			'HTTP/1.1 ' + statusCode + ' ' + (Http.STATUS_CODES[statusCode] || ''),
+			...serializeHttpHeaders(Object.assign(toLowerCaseKeys(headers), {
+				'connection': 'close',
+				'content-length': bodyBuffer.byteLength,
+			})),
+			CRLF,
+		].join(CRLF), 'latin1'),
+		bodyBuffer,
+	]));
 }
 
-function createSHA1HashBase64(data) {
-	return Crypto.createHash('sha1').update(data).digest('base64');
+function createRejectionError(errorId, statusCode, headers = {}, body = '') {
+	return createResponseError(errorId, statusCode, Http.STATUS_CODES[statusCode], headers, body);
 }
 
-function createHeaderOnlyUnmaskedFrame(opCode) {
-	return Buffer.from([ (1 << 7) + opCode, 0 ]);
+function createClientConnectionAsync(clientOptions) {
+	return new Promise((resolve, reject) => {
+		createClientConnection({ ...clientOptions, [DEFER_PARSING]: true }, (error, connection, protocol, response) => {
+			if(error) return reject(error);
+			return resolve({ connection, protocol, response });
+		});
+	});
+}
+
+function serverUpgradeRequestAsync(request, socket, protocolOptions = {}) {
+	return new Promise((resolve, reject) => {
+		serverUpgradeRequest(request, socket, { ...protocolOptions, [DEFER_PARSING]: true }, (error, connection, protocol) => {
+			if(error) return reject(error);
+			return resolve({ connection, protocol });
+		});
+	});
+}
+
+function createResponseError(errorId, statusCode, statusMessage, headers, body) {
+	return Object.assign(Error(errorId), { statusCode, statusMessage, headers, body });
+}
+
+function readHttpBody(socket, head, headers, maxBodySize, callback) {
+	const contentLength = 'content-length' in headers ? Number(headers['content-length']) : null;
+	const isChunked = getHttpHeaderAsArray(headers, 'transfer-encoding', true).includes('chunked');
+	
+	let body = Buffer.alloc(0);
+	let isDone = false;
+	
+	// the body ends with its content-length, its last chunk, or the connection
+	
+	socket.on('data', onData);
+	socket.on('end', onEnd);
+	socket.on('close', onEnd);
+	socket.on('error', onEnd);
+	onData(head);
+	
+	// functions
+	
+	function onData(buffer) {
+		body = Buffer.concat([ body, buffer ]);
+		if(isChunked) {
+			const decodedBody = decodeChunkedBody(body);
+			if(decodedBody !== null) return done(decodedBody);
+		} else if(contentLength !== null && body.byteLength >= contentLength) {
+			return done(body.slice(0, contentLength));
+		}
+		if(body.byteLength >= maxBodySize) {
+			return done(body.slice(0, maxBodySize)); // truncated
+		}
+	}
+	
+	function onEnd() {
+		return done(isChunked ? decodeChunkedBody(body, true) : body);
+	}
+	
+	function done(result) {
+		if(isDone) return;
+		isDone = true;
+		socket.removeListener('data', onData);
+		socket.removeListener('end', onEnd);
+		socket.removeListener('close', onEnd);
+		socket.removeListener('error', onEnd);
+		return callback(result);
+	}
+}
+
+function decodeChunkedBody(buffer, isIncompleteAllowed = false) {
+	
+	// RFC 9112 [7.1] hex chunk-size, optional extensions, CRLF, data, CRLF, ... until a chunk of size 0
+	
+	const chunks = [];
+	let offset = 0;
+	while(offset < buffer.byteLength) {
+		const lineEndIndex = buffer.indexOf(CRLF, offset);
+		if(lineEndIndex === -1) break;
+		const chunkSize = parseInt(buffer.toString('latin1', offset, lineEndIndex), 16);
+		if(Number.isNaN(chunkSize)) break;
+		if(chunkSize === 0) {
+			return Buffer.concat(chunks);
+		}
+		const chunkStart = lineEndIndex + CRLF.length;
+		chunks.push(buffer.slice(chunkStart, chunkStart + chunkSize));
+		offset = chunkStart + chunkSize + CRLF.length;
+	}
+	return isIncompleteAllowed ? Buffer.concat(chunks) : null;
+}
+
+function prepareMessage(data) {
+	const isText = typeof data === 'string';
+	if(isText && !isWellFormedString(data)) {
+		throw Error('ERR_LONE_SURROGATE');
+	}
+	const opCode = isText ? OPCODE_TEXT_FRAME : OPCODE_BINARY_FRAME;
+	const payload = isText ? Buffer.from(data, 'utf8') : data;
+	
+	// the unmasked frame is the same for every server-side connection without extensions
+	
+	return Object.freeze({
+		opCode,
+		payload,
+		frame: createMessageFrame(opCode, payload, false),
+	});
+}
+
+function getHttpHeaderAsArray(headers, headerId, toLowerCase = false) {
+	const stringArray = (
+		(headers[headerId] || '')
+		.split(',')
+		.map(it => it.trim())
+		.filter(it => it !== '')
+	);
+	return toLowerCase ? stringArray.map(it => it.toLowerCase()) : stringArray;
+}
+
+function parseExtensionsHeader(headerValue) {
+	const extensions = [];
+	
+	let extension = null;
+	let index = 0;
+	while(index < headerValue.length) {
+		EXTENSION_ELEMENT_PATTERN.lastIndex = index;
+		const match = EXTENSION_ELEMENT_PATTERN.exec(headerValue);
+		if(match === null) return null;
+		
+		const [ element, token, tokenValue, quotedValue, separator ] = match;
+		index += element.length;
+		
+		if(extension === null) {
+			
+			// extension name, must not have a value
+			
+			if(!(tokenValue === undefined && quotedValue === undefined)) return null;
+			extension = { name: token.toLowerCase(), params: {} };
+			extensions.push(extension);
+		} else {
+			
+			// extension parameter, may appear only once per extension
+			
+			const paramId = token.toLowerCase();
+			if(extension.params[paramId] !== undefined) return null;
+			extension.params[paramId] = (
+				tokenValue !== undefined ? tokenValue :
+				quotedValue !== undefined ? quotedValue.replace(/\\(.)/g, '$1') :
+				true
+			);
+		}
+		
+		if(separator !== ';') {
+			extension = null;
+		}
+		if(separator === '') break;
+	}
+	
+	return extensions;
+}
+
+function serializeExtension(name, params) {
+	return [
+		name,
+		...Object.keys(params).map(paramId => (
+			params[paramId] === true ? paramId : paramId + '=' + params[paramId]
+		)),
+	].join('; ');
+}
+
+function serializeHttpHeaders(headers) {
+	return Object.keys(headers).map(headerId => headerId + ': ' + headers[headerId]);
+}
+
+function toLowerCaseKeys(mapObject) {
+	const copy = {};
+	Object.keys(mapObject).forEach(key => copy[key.toLowerCase()] = mapObject[key]);
+	return copy;
+}
+
+function getBase64Length(sourceStringLength) {
+	return Math.ceil(sourceStringLength / 3) * 4;
+}
+
+function createExtensions(perMessageDeflate, extensionFactories, isServer, maxMessageSize) {
+	const extensions = extensionFactories.map(createExtension => createExtension({ isServer }));
+	if(perMessageDeflate !== false) {
+		extensions.unshift(new PerMessageDeflate({
+			maxMessageSize,
+			...(perMessageDeflate === true ? {} : perMessageDeflate),
+			isServer,
+		}));
+	}
+	return extensions;
+}
+
+function defaultSelectProtocol(protocols, callback) {
+	return callback(null, null);
+}
+
+function createSHA1HashBase64(data) {
+	return Crypto.createHash('sha1').update(data).digest('base64');
+}
+
+function createHeaderOnlyUnmaskedFrame(opCode) {
+	return Buffer.from([ (1 << 7) + opCode, 0 ]);
 }
 
 function createHeaderOnlyMaskedFrame(opCode) {
 	return Buffer.from([ (1 << 7) + opCode, 1 << 7, ...Array(MASKING_KEY_SIZE).fill(0) ]);
 }
 
+function getFrameHeaderLength(buffer, offset) {
+	if(buffer.byteLength - offset < 2) return -1;
+	
+	const byte1 = buffer[offset + 1];
+	
+	let length = 2;
+	switch(byte1 & ((1 << 7) - 1)) {
+		case 126: length += 2; break;
+		case 127: length += 8; break;
+	}
+	if((byte1 & (1 << 7)) !== 0) {
+		length += MASKING_KEY_SIZE;
+	}
+	return length;
+}
+
+function isControlOpCode(opCode) {
+	return (opCode & (1 << 3)) !== 0;
+}
+
 function createTextFrame(string, toMask) {
 	return createMessageFrame(OPCODE_TEXT_FRAME, Buffer.from(string, 'utf8'), toMask);
 }
@@ -322,11 +1209,39 @@ function createBinaryFrame(buffer, toMask) {
 	return createMessageFrame(OPCODE_BINARY_FRAME, buffer, toMask);
 }
 
-function createCloseFrame(code = 1005, toMask) {
-	return createMessageFrame(OPCODE_CONNECTION_CLOSE, Buffer.from(code.toString()), toMask);
+function createCloseFrame(code = CLOSE_CODE_NO_STATUS, reason = '', toMask) {
+	return createMessageFrame(OPCODE_CONNECTION_CLOSE, createClosePayload(code, reason), toMask);
+}
+
+function createClosePayload(code, reason) {
+	
+	// RFC 6455 [5.5.1] 2-byte big-endian status code followed by an optional UTF-8 reason
+	
+	if(code === CLOSE_CODE_NO_STATUS) {
+		return Buffer.alloc(0);
+	}
+	
+	const reasonBuffer = Buffer.from(reason, 'utf8');
+	const payload = Buffer.allocUnsafe(2 + reasonBuffer.byteLength);
+	payload.writeUInt16BE(code, 0);
+	reasonBuffer.copy(payload, 2);
+	
+	return payload;
 }
 
-function createMessageFrame(opCode, payload, toMask) {
+function isValidCloseCode(code) {
+	
+	// RFC 6455 [7.4.1] [7.4.2] 1004, 1005, 1006 and 1015 must not appear in a close frame,
+	// 1016-2999 are reserved, 3000-3999 are registered with IANA, 4000-4999 are private
+	
+	return Number.isInteger(code) && (
+		(code >= 1000 && code <= 1003) ||
+		(code >= 1007 && code <= 1014) ||
+		(code >= 3000 && code <= 4999)
+	);
+}
+
+function createMessageFrame(opCode, payload, toMask, rsvBits = 0, isFin = true) {
 	const length = payload.byteLength;
 	
 	let header = null;
@@ -342,25 +1257,84 @@ function createMessageFrame(opCode, payload, toMask) {
 		header[1] = 127;
 		header.writeBigUInt64BE(BigInt(length), 2);
 	}
-	header[0] = (1 << 7) + opCode;
+	header[0] = (isFin ? (1 << 7) : 0) + (rsvBits << 4) + opCode;
 	
 	if(toMask) {
-		const maskingKey = Crypto.randomBytes(MASKING_KEY_SIZE);
-		payload = Buffer.from(payload); // copy to avoid corrupting original data
+		header[1] |= (1 << 7);
+		
+		// mask straight into the frame, the one copy that also leaves the original data intact
+		
+		const frame = Buffer.allocUnsafe(header.byteLength + MASKING_KEY_SIZE + length);
+		header.copy(frame, 0);
+		const maskingKey = frame.slice(header.byteLength, header.byteLength + MASKING_KEY_SIZE);
+		Crypto.randomFillSync(maskingKey);
+		const offset = header.byteLength + MASKING_KEY_SIZE;
 		for(let i = 0; i < length; ++i) {
-			payload[i] = payload[i] ^ maskingKey[i % MASKING_KEY_SIZE];
+			frame[offset + i] = payload[i] ^ maskingKey[i % MASKING_KEY_SIZE];
 		}
-		header[1] |= (1 << 7);
-		return Buffer.concat([ header, maskingKey, payload ]);
+		return frame;
 	}
 	
-	return Buffer.concat([ header, payload ]);
+	return Buffer.concat([ header, payload ], header.byteLength + length);
+}
+
+function TokenBucket(ratePerSecond) {
+	
+	// refills continuously, holds up to one second's worth
+	
+	let tokens = ratePerSecond;
+	let refillTime = Date.now();
+	
+	Object.assign(this, {
+		take,
+		getWaitTime,
+	});
+	
+	function take(count, isDebtAllowed = false) {
+		refill();
+		if(tokens >= count) {
+			tokens -= count;
+			return true;
+		}
+		if(isDebtAllowed) {
+			tokens -= count;
+		}
+		return false;
+	}
+	
+	function getWaitTime() {
+		refill();
+		return tokens >= 0 ? 0 : -tokens * 1000 / ratePerSecond; // milliseconds until out of debt
+	}
+	
+	function refill() {
+		const now = Date.now();
+		tokens = Math.min(ratePerSecond, tokens + (now - refillTime) * ratePerSecond / 1000);
+		refillTime = now;
+	}
 }
 
 function WebSocketConnection({
 	socket,
 	isPeerMaskingRequired = true,
 	toMaskOwnMessages = true,
+	closeTimeout = CLOSE_TIMEOUT_MS,
+	extensions = [], // negotiated during the handshake, in the order of the server response
+	maxMessageSize = MAX_MESSAGE_SIZE, // bytes per incoming message, after extensions
+	maxFrameSize = maxMessageSize, // bytes per incoming frame payload
+	maxBufferedSize = maxMessageSize, // bytes of incoming data held at once, across fragments
+	highWaterMark = HIGH_WATER_MARK, // bytes of outgoing data buffered before senders should pause
+	backpressurePolicy = BACKPRESSURE_POLICY_NONE, // what sends past the high-water mark do
+	backpressureCloseCode = 1008, // 1008 policy violation or 1013 try again later
+	fragmentSize = FRAGMENT_SIZE, // payload bytes per frame of streamed messages
+	heartbeatInterval = 0, // milliseconds between automatic pings, 0 disables the heartbeat
+	heartbeatMaxMissedPongs = HEARTBEAT_MAX_MISSED_PONGS, // unanswered pings before the peer is dead
+	maxMessagesPerSecond = Infinity, // incoming data messages, bursts of up to one second's worth
+	maxBytesPerSecond = Infinity, // incoming bytes on the wire, frame headers included
+	maxControlFramesPerSecond = Infinity, // incoming pings and pongs
+	rateLimitPolicy = RATE_LIMIT_POLICY_CLOSE, // what a peer past one of its limits gets
+	idleTimeout = 0, // milliseconds without incoming data before closing with 1001, 0 waits forever
+	[DEFER_PARSING]: isParsingDeferred = false,
 }) {
 	
 	// state.public-write
@@ -368,122 +1342,770 @@ function WebSocketConnection({
 	// event callbacks
 	let onTextMessage = null;
 	let onBinaryMessage = null;
+	let onMessageStream = null; // opt-in: messages arrive as streams instead of whole
 	let onSync = null;
+	let onPong = null;
+	let onDrain = null;
 	let onEnd = null;
+	// any number of listeners: 'message', 'text', 'binary', 'ping', 'pong', 'drain', 'close', 'error'
+	const self = this; // EventEmitter
 	
 	// state.public-read
 	
 	// exchange status
-	let isAlive = true; // true until connection dropout for any reason
+	let state = STATE_OPEN; // OPEN -> CLOSING (close frame sent, awaiting peer) -> CLOSED
 	let lastSyncDate = new Date(); // update per data frame from client for keep-alive status
 	
+	// counters, of frames as they are on the wire: before incoming and after outgoing extension processing
+	const stats = {
+		framesIn: 0,
+		framesOut: 0,
+		messagesIn: 0,
+		messagesOut: 0,
+		bytesIn: 0,
+		bytesOut: 0,
+		pingsIn: 0,
+		pingsOut: 0,
+		pongsIn: 0,
+		pongsOut: 0,
+		fragmentsIn: 0, // frames of fragmented messages, the first one included
+		fragmentsOut: 0,
+		maskingTime: 0, // milliseconds spent masking and unmasking payloads
+	};
+	
 	// state.internal
 	
 	// ping pong cache
 	const frameDataPing = toMaskOwnMessages ? FRAME_DATA_PING_MASKED : FRAME_DATA_PING_UNMASKED;
 	const frameDataPong = toMaskOwnMessages ? FRAME_DATA_PONG_MASKED : FRAME_DATA_PONG_UNMASKED;
 	
+	// extensions claim RSV bits and reserved opcodes, any other use of them fails the connection
+	const extensionRsvBits = extensions.reduce((rsvBits, it) => rsvBits | it.getRsvBits(), 0);
+	const extensionOpCodes = [].concat(...extensions.map(it => it.getOpCodes()));
+	
 	// client communication status
 	let isReadingMessage = false; // handle multi-frame messages (first-frame-not-FIN-1)
+	let payloadOpCode = 0x0; // updates per start frame
+	
+	// parsing pauses while extensions process a frame, chunks received meanwhile wait here
+	let isParsingPaused = false;
+	let parsingPauseCount = 0; // extensions and full message streams pause independently
+	const pendingChunks = [];
+	let pendingChunksLength = 0;
 	
 	// frame state: has to be in upper scope to handle data stream buffered chunks
+	let isReadingHeader = true; // false while the payload of the current frame is incomplete
+	let pendingHeader = null; // partial frame header split across data stream buffered chunks
 	let isFinSet = false; // updates per frame
-	let isMasked = false; // updates per start frame
-	let payloadOpCode = 0x0; // updates per start frame
-	let maskingKey = null; // updates per start frame
+	let frameRsvBits = 0; // updates per frame
+	let frameOpCode = 0x0; // updates per frame
+	let isFrameBuffered = false; // updates per frame, whole frame payload needed before processing
+	let isMasked = false; // updates per frame
+	let maskingKey = null; // updates per frame
 	let maskingIndex = 0; // updates per frame with payload
 	let remainingLength = 0; // updates per frame with payload
 	
 	// handles both multi-frame messages chunks and data stream buffered chunks
 	const payloadBuffers = []; // output buffer
+	let messageLength = 0; // bytes of the current message
+	let messageStream = null; // Readable of the current message, instead of payloadBuffers
+	let pausingMessageStream = null; // message stream with a full buffer, parsing waits for its reader
+	const utf8Validator = new Utf8Validator(); // text messages are validated as they arrive
+	const frameBuffers = []; // single frame buffer: control frames, frames processed by extensions
+	
+	// outgoing frames wait here while extensions process an earlier frame, to keep their order
+	let isProcessingOutgoingFrame = false;
+	const sendQueue = [];
+	let sendQueueLength = 0; // payload bytes waiting for or in extension processing
+	
+	// backpressure
+	let isDrainPending = false; // a send returned false, onDrain fires once below high-water mark
+	const drainCallbacks = []; // message streams waiting to accept more data
+	
+	// fragmented message being sent, data frames of other messages wait until its last frame
+	let fragmentedMessage = null; // owner token while a message is partly sent
+	const heldSends = []; // functions sending the messages that wait
+	let heldLength = 0; // payload bytes of held messages
+	
+	// round-trip time: RFC 6455 [5.5.3] a pong echoes the payload of the ping it answers
+	const pendingPings = []; // { payload, sendTime } of pings not answered yet, oldest first
+	
+	// heartbeat
+	let heartbeatTimer = null;
+	let missedPongCount = 0; // heartbeat pings sent since the last pong
+	
+	// incoming rate limits, null if unlimited
+	const messageBucket = maxMessagesPerSecond < Infinity ? new TokenBucket(maxMessagesPerSecond) : null;
+	const byteBucket = maxBytesPerSecond < Infinity ? new TokenBucket(maxBytesPerSecond) : null;
+	const controlFrameBucket = maxControlFramesPerSecond < Infinity ? new TokenBucket(maxControlFramesPerSecond) : null;
+	let rateLimitTimer = null; // resumes parsing paused by the pause policy
+	
+	// idle timeout
+	let idleTimer = null; // checks lastSyncDate rather than being reset per chunk
+	
+	// closing handshake
+	let closeTimer = null; // drops the socket if the peer never answers our close frame, or never closes it
+	let isSocketClosed = false;
+	let closeResult = null; // onEnd arguments, reported once the closing handshake completes
 	
 	// run
 	
+	EventEmitter.call(this);
+	
 	socket.on('data', onData);
-	socket.on('end', () => { dropConnection(1000, 'CONNECTION_CLOSED'); });
-	socket.on('close', () => { dropConnection(1000, 'CONNECTION_CLOSED'); });
-	socket.on('error', error => { dropConnection(1011, 'NETWORK_ERROR', error); });
-	socket.on('timeout', () => { dropConnection(1008, 'TIMEOUT'); });
+	socket.on('end', onSocketEnd);
+	socket.on('close', onSocketClose);
+	socket.on('error', error => { onConnectionClosed('NETWORK_ERROR', CLOSE_CODE_ABNORMAL, error); });
+	socket.on('timeout', () => { closeConnection(CLOSE_CODE_GOING_AWAY, 'idle timeout', 'IDLE_TIMEOUT'); }); // socket.setTimeout of the caller
+	
+	if(heartbeatInterval > 0) {
+		heartbeatTimer = setInterval(onHeartbeat, heartbeatInterval);
+	}
+	
+	// not socket.setTimeout: our own writes, heartbeat pings included, would keep an idle peer alive
+	if(idleTimeout > 0) {
+		idleTimer = setTimeout(onIdleTimeout, idleTimeout);
+	}
+	
+	// frames sent along with the handshake response would be parsed before an awaiting caller
+	// could attach listeners: they wait in the socket until the promise continuations ran
+	if(isParsingDeferred) {
+		pauseParsing();
+		setImmediate(resumeParsing);
+	}
 	
 	// public
 	
 	Object.assign(this, {
 		// action-close
-		end: () => { dropConnection(1000, 'CLOSED_BY_SELF'); },
+		end,
 		
 		// action-write
 		sendTextMessage,
 		sendBinaryMessage,
 		sendPing,
+		sendExtensionFrame,
+		sendPreparedMessage,
+		sendFragmentedMessage,
+		createMessageStream,
+		sendMessageStream,
 		
 		// setters-events
 		setOnTextMessage: it => onTextMessage = it,
 		setOnBinaryMessage: it => onBinaryMessage = it,
+		setOnMessageStream: it => onMessageStream = it,
 		setOnSync: it => onSync = it,
+		setOnPong: it => onPong = it,
+		setOnDrain: it => onDrain = it,
 		setOnEnd: it => onEnd = it,
 		
 		// getters-state
-		isOpen: () => isAlive,
+		isOpen: () => state === STATE_OPEN,
+		getState: () => state,
 		getLastSyncDate: () => lastSyncDate,
+		getBufferedAmount,
+		getStats: () => ({ ...stats }),
+		
+		// iteration
+		[Symbol.asyncIterator]: createMessageIterator,
 	});
 	
 	// functions.public
 	
+	function end(code = CLOSE_CODE_NORMAL, reason = '') {
+		if(!isValidCloseCode(code)) {
+			throw Error('ERR_INVALID_CLOSE_CODE');
+		}
+		if(!isWellFormedString(reason)) {
+			throw Error('ERR_LONE_SURROGATE');
+		}
+		if(Buffer.byteLength(reason, 'utf8') > MAX_CLOSE_REASON_SIZE) {
+			throw Error('ERR_CLOSE_REASON_TOO_LONG');
+		}
+		closeConnection(code, reason, 'CLOSED_BY_SELF');
+	}
+	
 	function sendTextMessage(string) {
-		socket.write(createTextFrame(string, toMaskOwnMessages));
+		
+		// lone surrogates would silently be replaced with U+FFFD when encoded
+		
+		if(!isWellFormedString(string)) {
+			throw Error('ERR_LONE_SURROGATE');
+		}
+		if(!isSendAllowed()) return false;
+		sendMessage(OPCODE_TEXT_FRAME, Buffer.from(string, 'utf8'));
+		return getSendResult();
 	}
 	
 	function sendBinaryMessage(buffer) {
-		socket.write(createBinaryFrame(buffer, toMaskOwnMessages));
+		if(!isSendAllowed()) return false;
+		sendMessage(OPCODE_BINARY_FRAME, buffer);
+		return getSendResult();
+	}
+	
+	function sendPing(payload = Buffer.alloc(0)) {
+		if(typeof payload === 'string') {
+			payload = Buffer.from(payload, 'utf8');
+		}
+		if(payload.byteLength > MAX_CONTROL_FRAME_PAYLOAD_SIZE) {
+			throw Error('ERR_CONTROL_FRAME_TOO_LONG');
+		}
+		if(!isSendAllowed()) return false;
+		writePing(payload);
+		return getSendResult();
+	}
+	
+	function sendPong(payload) {
+		if(state !== STATE_OPEN) return;
+		sendControlFrame(OPCODE_PONG, payload, frameDataPong);
+	}
+	
+	function sendExtensionFrame(opCode, payload) {
+		if(!extensionOpCodes.includes(opCode)) {
+			throw Error('ERR_UNSUPPORTED_OPCODE');
+		}
+		if(!isSendAllowed()) return false;
+		sendMessage(opCode, payload);
+		return getSendResult();
+	}
+	
+	function sendPreparedMessage({ opCode, payload, frame }) {
+		if(!isSendAllowed()) return false;
+		
+		// masked or extension-processed frames differ per connection, they are encoded here
+		
+		if(extensions.length === 0 && !toMaskOwnMessages && fragmentedMessage === null) {
+			writeToSocket(frame);
+		} else {
+			sendMessage(opCode, payload);
+		}
+		return getSendResult();
+	}
+	
+	function sendFragmentedMessage(chunks, isText = false) {
+		if(chunks.length === 0) {
+			throw Error('ERR_NO_FRAGMENTS');
+		}
+		if(chunks.some(chunk => typeof chunk === 'string' && !isWellFormedString(chunk))) {
+			throw Error('ERR_LONE_SURROGATE');
+		}
+		if(!isSendAllowed()) return false;
+		
+		const frames = chunks.map((chunk, i) => ({
+			isFin: i === chunks.length - 1,
+			rsvBits: 0,
+			opCode: i > 0 ? OPCODE_CONTINUATION_FRAME : isText ? OPCODE_TEXT_FRAME : OPCODE_BINARY_FRAME,
+			payload: typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk,
+		}));
+		sendDataFrames(frames);
+		return getSendResult();
+	}
+	
+	function createMessageStream({ isText = false, fragmentSize: streamFragmentSize = fragmentSize } = {}) {
+		const messageToken = {};
+		let isStarted = false; // first frame sent, later frames are continuation frames
+		const chunks = [];
+		let chunksLength = 0;
+		
+		return new Stream.Writable({
+			decodeStrings: false,
+			write: (chunk, encoding, callback) => {
+				if(typeof chunk === 'string' && !isWellFormedString(chunk)) {
+					return callback(Error('ERR_LONE_SURROGATE'));
+				}
+				withFragmentedMessage(messageToken, callback, () => {
+					const buffer = typeof chunk === 'string' ? Buffer.from(chunk, encoding) : chunk;
+					chunks.push(buffer);
+					chunksLength += buffer.byteLength;
+					while(chunksLength >= streamFragmentSize) {
+						sendFragment(streamFragmentSize, false);
+					}
+					waitForDrain(callback);
+				});
+			},
+			final: callback => {
+				withFragmentedMessage(messageToken, callback, () => {
+					sendFragment(chunksLength, true);
+					releaseFragmentedMessage(messageToken);
+					callback();
+				});
+			},
+			destroy: (error, callback) => {
+				if(fragmentedMessage === messageToken) {
+					
+					// RFC 6455 [5.4] an unfinished message cannot be cancelled, only the connection
+					
+					closeConnection(1011, '', 'MESSAGE_STREAM_ERROR');
+					releaseFragmentedMessage(messageToken);
+				}
+				callback(error);
+			},
+		});
+		
+		function sendFragment(length, isFin) {
+			
+			// take exactly length bytes off the written chunks, copying only when they span chunks
+			
+			const buffers = [];
+			let remainingLength = length;
+			while(remainingLength > 0) {
+				const chunk = chunks[0];
+				if(chunk.byteLength <= remainingLength) {
+					buffers.push(chunks.shift());
+					remainingLength -= chunk.byteLength;
+				} else {
+					buffers.push(chunk.slice(0, remainingLength));
+					chunks[0] = chunk.slice(remainingLength);
+					remainingLength = 0;
+				}
+			}
+			chunksLength -= length;
+			const payload = buffers.length === 1 ? buffers[0] : Buffer.concat(buffers, length);
+			
+			const opCode = isStarted ? OPCODE_CONTINUATION_FRAME : isText ? OPCODE_TEXT_FRAME : OPCODE_BINARY_FRAME;
+			isStarted = true;
+			sendFrame({ isFin, rsvBits: 0, opCode, payload });
+		}
 	}
 	
-	function sendPing() {
-		socket.write(frameDataPing);
+	function sendMessageStream(source, options, callback) {
+		if(typeof options === 'function') {
+			callback = options;
+			options = {};
+		}
+		Stream.pipeline(source, createMessageStream(options), callback);
 	}
 	
-	function sendPong() {
-		socket.write(frameDataPong);
+	function getBufferedAmount() {
+		return socket.writableLength + sendQueueLength + heldLength;
 	}
 	
 	// functions.events
 	
+	function onHeartbeat() {
+		if(state !== STATE_OPEN) return;
+		
+		if(missedPongCount >= heartbeatMaxMissedPongs) {
+			
+			// peer is gone: say so, but don't wait for a closing handshake it cannot answer
+			
+			writeToSocket(createCloseFrame(CLOSE_CODE_GOING_AWAY, '', toMaskOwnMessages));
+			socket.destroy();
+			return onConnectionClosed('HEARTBEAT_TIMEOUT', CLOSE_CODE_ABNORMAL);
+		}
+		
+		++missedPongCount;
+		writePing(Buffer.alloc(0));
+	}
+	
+	function onIdleTimeout() {
+		const idleTime = Date.now() - lastSyncDate.getTime();
+		if(idleTime < idleTimeout) {
+			idleTimer = setTimeout(onIdleTimeout, idleTimeout - idleTime);
+			return;
+		}
+		idleTimer = null;
+		closeConnection(CLOSE_CODE_GOING_AWAY, 'idle timeout', 'IDLE_TIMEOUT');
+	}
+	
+	function onPongFrame(payload) {
+		if(!isWithinRateLimit(controlFrameBucket, 1)) return;
+		missedPongCount = 0;
+		
+		// RFC 6455 [5.5.3] a peer may answer only the most recent of several pings
+		
+		let roundTripTime = null; // unsolicited pong
+		for(let i = pendingPings.length - 1; i >= 0; --i) {
+			if(pendingPings[i].payload.equals(payload)) {
+				roundTripTime = Date.now() - pendingPings[i].sendTime;
+				pendingPings.splice(0, i + 1);
+				break;
+			}
+		}
+		
+		if(onPong !== null) {
+			onPong(roundTripTime, payload);
+		}
+		self.emit('pong', roundTripTime, payload);
+	}
+	
+	function onPingFrame(payload) {
+		if(!isWithinRateLimit(controlFrameBucket, 1)) return; // dropped: no pong
+		self.emit('ping', payload);
+		sendPong(payload);
+	}
+	
 	function onData(buffer) {
 		lastSyncDate = new Date();
+		stats.bytesIn += buffer.byteLength;
 		if(onSync !== null) {
 			onSync(lastSyncDate);
 		}
 		
-		if(remainingLength === 0) {
-			readDataFrameHeader(buffer);
-		} else {
-			readDataFramePayload(buffer);
+		pendingChunks.push(buffer);
+		pendingChunksLength += buffer.byteLength;
+		
+		// bytes cannot be dropped on arrival, under drop the messages they carry are while in debt
+		
+		if(byteBucket !== null && !byteBucket.take(buffer.byteLength, rateLimitPolicy !== RATE_LIMIT_POLICY_CLOSE)) {
+			if(rateLimitPolicy === RATE_LIMIT_POLICY_CLOSE) {
+				return dropConnection(1008, 'RATE_LIMIT');
+			}
+			if(rateLimitPolicy === RATE_LIMIT_POLICY_PAUSE) {
+				pauseForRateLimit(byteBucket.getWaitTime());
+			}
+		}
+		
+		if(isParsingPaused && getBufferedLength() > maxBufferedSize) {
+			return dropConnection(1009, 'ERR_BUFFER_FULL');
 		}
+		
+		parsePendingChunks();
 	}
 	
 	// functions.internal
 	
-	function readDataFrameHeader(buffer) {
-		const { byteLength: length } = buffer;
+	function parsePendingChunks() {
+		while(!isParsingPaused && state !== STATE_CLOSED && pendingChunks.length > 0) {
+			const buffer = pendingChunks.shift();
+			pendingChunksLength -= buffer.byteLength;
+			
+			// a chunk may hold any number of frames, and may start or end in the middle of one
+			
+			const { byteLength } = buffer;
+			let offset = 0;
+			while(!isParsingPaused && state !== STATE_CLOSED && offset < byteLength) {
+				offset = isReadingHeader
+					? readDataFrameHeader(buffer, offset)
+					: readDataFramePayload(buffer, offset);
+			}
+			
+			if(isParsingPaused && offset < byteLength) {
+				pendingChunks.unshift(buffer.slice(offset));
+				pendingChunksLength += byteLength - offset;
+			}
+		}
+	}
+	
+	function pauseParsing() {
+		++parsingPauseCount;
+		isParsingPaused = true;
+		socket.pause();
+	}
+	
+	function resumeParsing() {
+		if(--parsingPauseCount > 0) return;
+		isParsingPaused = false;
+		socket.resume();
+		parsePendingChunks();
+	}
+	
+	function getBufferedLength() {
+		
+		// streamed messages are held by their stream, which pauses parsing when full
+		
+		return (messageStream === null ? messageLength : 0) + pendingChunksLength;
+	}
+	
+	function startMessageStream() {
+		const stream = new Stream.Readable({
+			read: () => resumeMessageStream(stream),
+		});
+		if(payloadOpCode === OPCODE_TEXT_FRAME) {
+			stream.setEncoding('utf8'); // code points split across payloads are decoded whole
+		}
+		
+		// a stream that ends or is destroyed with a full buffer no longer holds parsing
 		
-		// ensure sent buffer has enough bytes to read from
-		let minLength = 2;
-		if(length < minLength) return dropConnection(1002, 'ERR_INAVLID_DATA_FRAME_H2');
+		Stream.finished(stream, () => resumeMessageStream(stream));
+		
+		messageStream = stream;
+		onMessageStream(stream, payloadOpCode === OPCODE_TEXT_FRAME);
+	}
+	
+	function pushToMessageStream(payload) {
+		if(messageStream.destroyed) return; // reader gave up, the rest of the message is dropped
+		
+		if(!messageStream.push(payload) && pausingMessageStream === null) {
+			pausingMessageStream = messageStream;
+			pauseParsing();
+		}
+	}
+	
+	function resumeMessageStream(stream) {
+		if(pausingMessageStream !== stream) return;
+		pausingMessageStream = null;
+		resumeParsing();
+	}
+	
+	function collectPayload(payload) {
+		messageLength += payload.byteLength;
+		if(messageStream !== null) {
+			return pushToMessageStream(payload);
+		}
+		payloadBuffers.push(payload);
+	}
+	
+	function isWithinRateLimit(bucket, count) {
+		if(bucket === null) return true;
+		
+		// the pause policy lets the peer run into debt, and reads nothing more until it is paid
+		
+		if(bucket.take(count, rateLimitPolicy === RATE_LIMIT_POLICY_PAUSE)) return true;
+		switch(rateLimitPolicy) {
+			case RATE_LIMIT_POLICY_PAUSE:
+				pauseForRateLimit(bucket.getWaitTime());
+				return true;
+			case RATE_LIMIT_POLICY_DROP:
+				return false;
+			default:
+				dropConnection(1008, 'RATE_LIMIT');
+				return false;
+		}
+	}
+	
+	function pauseForRateLimit(waitTime) {
+		if(rateLimitTimer !== null) return;
+		pauseParsing();
+		rateLimitTimer = setTimeout(() => {
+			rateLimitTimer = null;
+			resumeParsing();
+		}, Math.ceil(waitTime));
+	}
+	
+	function isSendAllowed() {
+		if(state !== STATE_OPEN) return false;
+		if(getBufferedAmount() < highWaterMark) return true;
+		
+		// peer does not keep up with what we send
+		
+		switch(backpressurePolicy) {
+			case BACKPRESSURE_POLICY_REJECT:
+				throw Error('ERR_SEND_BUFFER_FULL');
+			case BACKPRESSURE_POLICY_CLOSE:
+				closeConnection(backpressureCloseCode, '', 'SLOW_PEER');
+				return false;
+			default:
+				return true;
+		}
+	}
+	
+	function getSendResult() {
+		const isBelowHighWaterMark = getBufferedAmount() < highWaterMark;
+		if(!isBelowHighWaterMark) {
+			isDrainPending = true;
+		}
+		return isBelowHighWaterMark;
+	}
+	
+	function writeToSocket(frame) {
+		stats.bytesOut += frame.byteLength;
+		countFrame(false, (frame[0] & (1 << 7)) !== 0, frame[0] & 0x0f);
+		socket.write(frame, onSocketWritten);
+	}
+	
+	function countFrame(isIncoming, isFin, opCode) {
+		++stats[isIncoming ? 'framesIn' : 'framesOut'];
+		switch(opCode) {
+			case OPCODE_PING:
+				return ++stats[isIncoming ? 'pingsIn' : 'pingsOut'];
+			case OPCODE_PONG:
+				return ++stats[isIncoming ? 'pongsIn' : 'pongsOut'];
+			case OPCODE_CONTINUATION_FRAME:
+			case OPCODE_TEXT_FRAME:
+			case OPCODE_BINARY_FRAME:
+				if(!(isFin && opCode !== OPCODE_CONTINUATION_FRAME)) {
+					++stats[isIncoming ? 'fragmentsIn' : 'fragmentsOut'];
+				}
+				if(isFin) {
+					++stats[isIncoming ? 'messagesIn' : 'messagesOut'];
+				}
+		}
+	}
+	
+	function onSocketWritten() {
+		if(state === STATE_CLOSED || getBufferedAmount() >= highWaterMark) return;
+		
+		drainCallbacks.splice(0).forEach(callback => callback());
+		if(isDrainPending) {
+			isDrainPending = false;
+			if(onDrain !== null) {
+				onDrain();
+			}
+			self.emit('drain');
+		}
+	}
+	
+	function waitForDrain(callback) {
+		if(getBufferedAmount() < highWaterMark) {
+			return callback();
+		}
+		drainCallbacks.push(callback);
+	}
+	
+	function withFragmentedMessage(messageToken, callback, send) {
+		if(state !== STATE_OPEN) {
+			return callback(Error('ERR_CONNECTION_CLOSED'));
+		}
+		if(fragmentedMessage !== null && fragmentedMessage !== messageToken) {
+			heldSends.push(() => withFragmentedMessage(messageToken, callback, send));
+			return;
+		}
+		fragmentedMessage = messageToken;
+		send();
+	}
+	
+	function releaseFragmentedMessage(messageToken) {
+		if(fragmentedMessage !== messageToken) return;
+		fragmentedMessage = null;
+		
+		// messages sent meanwhile follow in order, until one of them is a fragmented message again
+		
+		while(fragmentedMessage === null && heldSends.length > 0) {
+			heldSends.shift()();
+		}
+	}
+	
+	function writePing(payload) {
+		pendingPings.push({ payload, sendTime: Date.now() });
+		if(pendingPings.length > MAX_PENDING_PINGS) {
+			pendingPings.shift();
+		}
+		sendControlFrame(OPCODE_PING, payload, frameDataPing);
+	}
+	
+	function sendControlFrame(opCode, payload, headerOnlyFrame) {
+		if(payload.byteLength === 0 && extensions.length === 0) {
+			return writeToSocket(headerOnlyFrame);
+		}
+		sendMessage(opCode, payload);
+	}
+	
+	function sendMessage(opCode, payload) {
+		const frame = { isFin: true, rsvBits: 0, opCode, payload };
+		if(isControlOpCode(opCode)) {
+			return sendFrame(frame); // RFC 6455 [5.4] control frames may interleave with fragments
+		}
+		sendDataFrames([ frame ]);
+	}
+	
+	function sendDataFrames(frames) {
+		if(fragmentedMessage !== null) {
+			const length = frames.reduce((length, frame) => length + frame.payload.byteLength, 0);
+			heldLength += length;
+			heldSends.push(() => {
+				heldLength -= length;
+				if(state === STATE_OPEN) {
+					frames.forEach(sendFrame);
+				}
+			});
+			return;
+		}
+		frames.forEach(sendFrame);
+	}
+	
+	function sendFrame(frame) {
+		if(extensions.length > 0) {
+			sendQueueLength += frame.payload.byteLength;
+		}
+		if(isProcessingOutgoingFrame) {
+			sendQueue.push(frame);
+			return;
+		}
+		writeFrame(frame);
+	}
+	
+	function writeFrame(frame) {
+		if(extensions.length === 0) {
+			writeToSocket(createOwnFrame(frame));
+			return;
+		}
+		
+		// outgoing frames pass through extensions in negotiated order
+		
+		let isSync = true;
+		isProcessingOutgoingFrame = true;
+		runExtensionPipeline('processOutgoingFrame', frame, 0, 1, (error, processedFrame) => {
+			isProcessingOutgoingFrame = false;
+			sendQueueLength -= frame.payload.byteLength;
+			if(state === STATE_CLOSED) return;
+			if(error) return dropConnection(error.statusCode || 1011, 'ERR_EXTENSION', error);
+			
+			if(processedFrame !== null) {
+				writeToSocket(createOwnFrame(processedFrame));
+			}
+			
+			// frames queued meanwhile are resumed here, or by the caller loop if synchronous
+			
+			if(!isSync) {
+				writeQueuedFrames();
+			}
+		});
+		isSync = false;
+	}
+	
+	function createOwnFrame({ opCode, payload, rsvBits, isFin }) {
+		if(!toMaskOwnMessages) {
+			return createMessageFrame(opCode, payload, false, rsvBits, isFin);
+		}
+		const startTime = process.hrtime.bigint();
+		const frame = createMessageFrame(opCode, payload, true, rsvBits, isFin);
+		stats.maskingTime += Number(process.hrtime.bigint() - startTime) / 1e6;
+		return frame;
+	}
+	
+	function writeQueuedFrames() {
+		while(!isProcessingOutgoingFrame && state !== STATE_CLOSED && sendQueue.length > 0) {
+			writeFrame(sendQueue.shift());
+		}
+	}
+	
+	function runExtensionPipeline(methodId, frame, index, step, callback) {
+		if(frame === null || index < 0 || index >= extensions.length) {
+			return callback(null, frame);
+		}
+		extensions[index][methodId](frame, (error, frame) => {
+			if(error) return callback(error);
+			return runExtensionPipeline(methodId, frame, index + step, step, callback);
+		});
+	}
+	
+	function readDataFrameHeader(buffer, offset) {
+		
+		// reassemble a header split across chunks, copying no more than the header itself
+		
+		let header = buffer;
+		let headerOffset = offset;
+		let pendingLength = 0;
+		if(pendingHeader !== null) {
+			pendingLength = pendingHeader.byteLength;
+			header = Buffer.concat([
+				pendingHeader,
+				buffer.slice(offset, offset + MAX_FRAME_HEADER_SIZE - pendingLength),
+			]);
+			headerOffset = 0;
+		}
+		
+		const headerLength = getFrameHeaderLength(header, headerOffset);
+		if(headerLength === -1 || header.byteLength - headerOffset < headerLength) {
+			pendingHeader = Buffer.from(header.slice(headerOffset)); // wait for next chunk
+			return buffer.byteLength;
+		}
+		pendingHeader = null;
 		
 		// fin, rsv, opcode
-		const byte0 = buffer[0];
+		const byte0 = header[headerOffset];
 		
 		isFinSet = (byte0 & (1 << 7)) !== 0;
-		const isRSV1Set = (byte0 & (1 << 6)) !== 0;
-		const isRSV2Set = (byte0 & (1 << 5)) !== 0;
-		const isRSV3Set = (byte0 & (1 << 4)) !== 0;
+		frameRsvBits = (byte0 >> 4) & ((1 << 3) - 1); // RSV1, RSV2, RSV3
 		
-		// no extension support
-		if(isRSV1Set || isRSV2Set || isRSV3Set) return dropConnection(1003, 'INVALID_EXTENSION');
+		// RSV bits are only valid if claimed by a negotiated extension
+		if((frameRsvBits & ~extensionRsvBits) !== 0) return dropConnection(1003, 'INVALID_EXTENSION');
 		
-		const opCode = byte0 & ((1 << 4) - 1);
+		frameOpCode = byte0 & ((1 << 4) - 1);
 		
 		// mask, payload length
-		const byte1 = buffer[1];
+		const byte1 = header[headerOffset + 1];
 		
 		isMasked = (byte1 & (1 << 7)) !== 0;
 		
@@ -497,19 +2119,19 @@ function WebSocketConnection({
 		// extended payload length: +0 | +2 | +8 bytes
 		
 		let payloadLength = 0;
-		let nextBufferIndex = 2;
+		let nextHeaderIndex = headerOffset + 2;
 		switch(payloadLength7) {
 			case 126:
-				minLength += 2;
-				if(length < minLength) return dropConnection(1002, 'ERR_INAVLID_DATA_FRAME_P16');
-				payloadLength = buffer.readUInt16BE(nextBufferIndex);
-				nextBufferIndex += 2;
+				payloadLength = header.readUInt16BE(nextHeaderIndex);
+				nextHeaderIndex += 2;
 				break;
 			case 127:
-				minLength += 8;
-				if(length < minLength) return dropConnection(1002, 'ERR_INAVLID_DATA_FRAME_P64');
-				payloadLength = Number(buffer.readBigUInt64BE(nextBufferIndex));
-				nextBufferIndex += 8;
+				// RFC 6455 [5.2] "the most significant bit MUST be 0"
+				if((header[nextHeaderIndex] & (1 << 7)) !== 0) {
+					return dropConnection(1002, 'ERR_INVALID_PAYLOAD_LENGTH');
+				}
+				payloadLength = Number(header.readBigUInt64BE(nextHeaderIndex));
+				nextHeaderIndex += 8;
 				break;
 			default:
 				payloadLength = payloadLength7;
@@ -519,19 +2141,13 @@ function WebSocketConnection({
 			
 			// +4 bytes for masking key
 			
-			minLength += MASKING_KEY_SIZE;
-			if(length < minLength) return dropConnection(1002, 'ERR_MASKING_KEY_MISSING');
-			
-			maskingKey = Buffer.from(buffer.slice(
-				nextBufferIndex,
-				nextBufferIndex + MASKING_KEY_SIZE
+			maskingKey = Buffer.from(header.slice(
+				nextHeaderIndex,
+				nextHeaderIndex + MASKING_KEY_SIZE
 			));
-			nextBufferIndex += MASKING_KEY_SIZE;
 		}
 		
-		switch(opCode) {
-			case OPCODE_CONNECTION_CLOSE:
-				return dropConnection(1000, 'CLOSED_BY_PEER');
+		switch(frameOpCode) {
 			case OPCODE_CONTINUATION_FRAME:
 				if(!isReadingMessage) return dropConnection(1002, 'ERR_BAD_CONTINUE_OPCODE');
 				break;
@@ -539,83 +2155,450 @@ function WebSocketConnection({
 			case OPCODE_BINARY_FRAME:
 				if(isReadingMessage) return dropConnection(1002, 'ERR_BAD_DATA_OPCODE');
 				isReadingMessage = true;
-				payloadOpCode = opCode;
-				payloadBuffers.length = 0; // this line is probably not really needed (check)
+				payloadOpCode = frameOpCode;
 				break;
+			case OPCODE_CONNECTION_CLOSE:
 			case OPCODE_PING:
-				return sendPong();
 			case OPCODE_PONG:
-				return; // do nothing, the purpose of this frame was to just update lastSyncDate
+				break;
 			default:
-				return dropConnection(1003, 'ERR_UNSUPPORTED_OPCODE');
+				// reserved opcodes are only valid if claimed by a negotiated extension,
+				// they are passed to extensions one frame at a time
+				if(!extensionOpCodes.includes(frameOpCode)) {
+					return dropConnection(1003, 'ERR_UNSUPPORTED_OPCODE');
+				}
+		}
+		
+		// RFC 6455 [10.4] refuse oversized input before buffering any of its payload
+		
+		if(payloadLength > maxFrameSize) {
+			return dropConnection(1009, 'ERR_FRAME_TOO_BIG');
+		}
+		if(!isControlOpCode(frameOpCode) && messageLength + payloadLength > maxMessageSize) {
+			return dropConnection(1009, 'ERR_MESSAGE_TOO_BIG');
+		}
+		if(getBufferedLength() + payloadLength > maxBufferedSize) {
+			return dropConnection(1009, 'ERR_BUFFER_FULL');
 		}
 		
+		if(isControlOpCode(frameOpCode)) {
+			// RFC 6455 [5.5] "All control frames MUST have a payload length of 125 bytes or less
+			// and MUST NOT be fragmented."
+			if(!isFinSet) return dropConnection(1002, 'ERR_FRAGMENTED_CONTROL_FRAME');
+			if(payloadLength > MAX_CONTROL_FRAME_PAYLOAD_SIZE) {
+				return dropConnection(1002, 'ERR_CONTROL_FRAME_TOO_LONG');
+			}
+		}
+		
+		countFrame(true, isFinSet, frameOpCode);
+		
+		if(onMessageStream !== null && (frameOpCode === OPCODE_TEXT_FRAME || frameOpCode === OPCODE_BINARY_FRAME)) {
+			startMessageStream();
+		}
+		
+		// message payload is collected as it arrives, unless extensions need the whole frame
+		isFrameBuffered = extensions.length > 0 || isControlOpCode(frameOpCode);
+		
 		maskingIndex = 0;
 		remainingLength = payloadLength;
 		
-		readDataFramePayload(buffer.slice(nextBufferIndex));
+		if(remainingLength === 0) {
+			onFrameComplete();
+		} else {
+			isReadingHeader = false;
+		}
+		
+		return offset + headerLength - pendingLength;
 	}
 	
-	function readDataFramePayload(buffer) {
-		const { byteLength } = buffer;
-		
-		const length = Math.min(byteLength, remainingLength);
+	function readDataFramePayload(buffer, offset) {
+		const length = Math.min(buffer.byteLength - offset, remainingLength);
+		const payload = buffer.slice(offset, offset + length);
 		
 		if(isMasked) {
+			const startTime = process.hrtime.bigint();
 			for(let i = 0; i < length; ++i) {
-				buffer[i] = buffer[i] ^ maskingKey[maskingIndex]; // unmask payload in-place
+				payload[i] = payload[i] ^ maskingKey[maskingIndex]; // unmask payload in-place
 				maskingIndex = (maskingIndex + 1) % MASKING_KEY_SIZE;
 			}
+			stats.maskingTime += Number(process.hrtime.bigint() - startTime) / 1e6;
+		}
+		if(isFrameBuffered) {
+			frameBuffers.push(payload);
+		} else {
+			if(payloadOpCode === OPCODE_TEXT_FRAME && !utf8Validator.write(payload)) {
+				return dropConnection(1007, 'ERR_INVALID_UTF8');
+			}
+			collectPayload(payload);
 		}
-		payloadBuffers.push(buffer.slice(0, length));
 		remainingLength -= length;
 		
 		if(remainingLength === 0) {
+			isReadingHeader = true;
+			onFrameComplete();
+		}
+		
+		return offset + length;
+	}
+	
+	function onFrameComplete() {
+		maskingKey = null; // free memory
+		
+		if(!isFrameBuffered) {
 			if(isFinSet) {
-				maskingKey = null; // free memory
-				onFrameComplete();
+				onMessageComplete();
+			}
+			return;
+		}
+		
+		const frame = {
+			isFin: isFinSet,
+			rsvBits: frameRsvBits,
+			opCode: frameOpCode,
+			payload: Buffer.concat(frameBuffers.splice(0)),
+		};
+		
+		if(extensions.length === 0) {
+			return onFrame(frame);
+		}
+		
+		// incoming frames pass through extensions in reverse negotiated order,
+		// parsing pauses until they are done if any of them is asynchronous
+		
+		let isSync = true;
+		let isDone = false;
+		runExtensionPipeline('processIncomingFrame', frame, extensions.length - 1, -1, (error, frame) => {
+			isDone = true;
+			if(state === STATE_CLOSED) return;
+			if(error) return dropConnection(error.statusCode || 1002, 'ERR_EXTENSION', error);
+			
+			if(frame !== null) {
+				onFrame(frame);
 			}
-			if(byteLength > length) {
-				readDataFrameHeader(buffer.slice(length));
+			if(!isSync) {
+				resumeParsing();
 			}
+		});
+		isSync = false;
+		
+		if(!isDone) {
+			pauseParsing();
 		}
 	}
 	
-	function onFrameComplete() {
-		isReadingMessage = false;
-		
-		let callback = null;
-		let data = null;
-		switch(payloadOpCode) {
+	function onFrame({ isFin, opCode, payload }) {
+		switch(opCode) {
+			case OPCODE_CONNECTION_CLOSE:
+				return onCloseFrame(payload);
+			case OPCODE_PING:
+				return onPingFrame(payload);
+			case OPCODE_PONG:
+				return onPongFrame(payload);
+			case OPCODE_CONTINUATION_FRAME:
+			case OPCODE_TEXT_FRAME:
 			case OPCODE_BINARY_FRAME:
-				if(onBinaryMessage !== null) {
-					callback = onBinaryMessage;
-					data = Buffer.concat(payloadBuffers);
+				// extensions may have grown the payload
+				if(messageLength + payload.byteLength > maxMessageSize) {
+					return dropConnection(1009, 'ERR_MESSAGE_TOO_BIG');
 				}
-				break;
-			case OPCODE_TEXT_FRAME:
-				if(onTextMessage !== null) {
-					callback = onTextMessage;
-					data = Buffer.concat(payloadBuffers).toString('utf8');
+				if(payloadOpCode === OPCODE_TEXT_FRAME && !utf8Validator.write(payload)) {
+					return dropConnection(1007, 'ERR_INVALID_UTF8');
 				}
-				break;
+				collectPayload(payload);
+				if(isFin) {
+					return onMessageComplete();
+				}
+				return;
+			default:
+				return; // extension frames not consumed by their extension are ignored
+		}
+	}
+	
+	function onMessageComplete() {
+		isReadingMessage = false;
+		
+		// RFC 6455 [8.1] a text message must not end in the middle of a code point
+		if(payloadOpCode === OPCODE_TEXT_FRAME && !utf8Validator.end()) {
+			return dropConnection(1007, 'ERR_INVALID_UTF8');
+		}
+		
+		// streamed messages are delivered already, limits can only pause or close
+		
+		const isWithinLimits = isWithinRateLimit(messageBucket, 1) && !(
+			rateLimitPolicy === RATE_LIMIT_POLICY_DROP && byteBucket !== null && byteBucket.getWaitTime() > 0
+		);
+		if(state === STATE_CLOSED) return;
+		
+		if(messageStream !== null) {
+			messageStream.push(null);
+			messageStream = null;
+			messageLength = 0;
+			return;
+		}
+		if(!isWithinLimits) {
+			payloadBuffers.length = 0; // free memory
+			messageLength = 0;
+			return;
+		}
+		
+		// the message is only assembled if anyone receives it
+		
+		const isText = payloadOpCode === OPCODE_TEXT_FRAME;
+		const eventName = isText ? 'text' : 'binary';
+		const callback = isText ? onTextMessage : onBinaryMessage;
+		const isListened = self.listenerCount('message') > 0 || self.listenerCount(eventName) > 0;
+		
+		let data = null;
+		if(callback !== null || isListened) {
+			data = isText ? Buffer.concat(payloadBuffers).toString('utf8') : Buffer.concat(payloadBuffers);
 		}
 		payloadBuffers.length = 0; // free memory
+		messageLength = 0;
 		
 		if(callback !== null) {
-			return callback(data);
+			callback(data);
+		}
+		if(isListened) {
+			self.emit(eventName, data);
+			self.emit('message', data, isText);
+		}
+	}
+	
+	function onCloseFrame(payload) {
+		let statusCode = CLOSE_CODE_NO_STATUS;
+		let reason = '';
+		
+		if(payload.byteLength > 0) {
+			if(payload.byteLength < 2) {
+				return dropConnection(1002, 'ERR_INVALID_CLOSE_PAYLOAD');
+			}
+			statusCode = payload.readUInt16BE(0);
+			if(!isValidCloseCode(statusCode)) {
+				return dropConnection(1002, 'ERR_INVALID_CLOSE_CODE');
+			}
+			if(!isValidUtf8(payload.slice(2))) {
+				return dropConnection(1007, 'ERR_INVALID_UTF8');
+			}
+			reason = payload.toString('utf8', 2);
+		}
+		
+		if(state === STATE_OPEN) {
+			
+			// peer started the closing handshake: echo its status code, then close the socket
+			
+			state = STATE_CLOSING;
+			writeToSocket(createCloseFrame(statusCode, '', toMaskOwnMessages));
+			socket.end();
+			return onConnectionClosed('CLOSED_BY_PEER', statusCode, null, reason);
+		}
+		
+		// peer answered our close frame, closing handshake complete
+		
+		socket.end();
+		return onConnectionClosed(...closeResult);
+	}
+	
+	function onSocketEnd() {
+		
+		// sockets of http servers allow half-open connections, they only close once ended on this side too
+		
+		if(state === STATE_CLOSING) {
+			socket.destroy(); // our close frame is sent, nothing left to write
+			return onCloseUnanswered();
+		}
+		if(state === STATE_OPEN) {
+			socket.end();
 		}
+		return onConnectionClosed('CONNECTION_CLOSED', CLOSE_CODE_ABNORMAL);
+	}
+	
+	function onSocketClose() {
+		isSocketClosed = true;
+		clearTimeout(closeTimer);
+		closeTimer = null;
+		if(state === STATE_CLOSING) {
+			return onCloseUnanswered();
+		}
+		return onConnectionClosed('CONNECTION_CLOSED', CLOSE_CODE_ABNORMAL);
+	}
+	
+	function closeConnection(statusCode, reason, appCode) {
+		if(state !== STATE_OPEN) return;
+		state = STATE_CLOSING;
+		closeResult = [ appCode, statusCode, null, reason ];
+		
+		sendMessage(OPCODE_CONNECTION_CLOSE, createClosePayload(statusCode, reason));
+		
+		closeTimer = setTimeout(() => {
+			socket.destroy();
+			onCloseUnanswered();
+		}, closeTimeout);
+	}
+	
+	function onCloseUnanswered() {
+		
+		// the closing handshake did not complete: 1006, RFC 6455 [7.1.5]
+		// the error keeps what our close frame said
+		
+		const [ appCode, statusCode, , reason ] = closeResult;
+		const error = Object.assign(Error('ERR_CLOSE_UNANSWERED'), { appCode, statusCode, reason });
+		return onConnectionClosed('CLOSE_UNANSWERED', CLOSE_CODE_ABNORMAL, error);
 	}
 	
 	function dropConnection(statusCode, appCode, error = null) {
-		if(!isAlive) return;
-		isAlive = false;
+		if(state === STATE_CLOSED) return;
+		
+		// fail the connection: no closing handshake, RFC 6455 [7.1.7]
 		
-		socket.write(createCloseFrame(statusCode, toMaskOwnMessages));
+		if(PROTOCOL_ERROR_CHANNEL !== null && PROTOCOL_ERROR_CHANNEL.hasSubscribers) {
+			PROTOCOL_ERROR_CHANNEL.publish({ connection: self, appCode, statusCode, error });
+		}
+		
+		if(state === STATE_OPEN) {
+			writeToSocket(createCloseFrame(statusCode, '', toMaskOwnMessages));
+		}
 		socket.end();
 		
+		return onConnectionClosed(appCode, statusCode, error);
+	}
+	
+	function onConnectionClosed(appCode, statusCode, error = null, reason = '') {
+		if(state === STATE_CLOSED) return;
+		state = STATE_CLOSED;
+		
+		// an ended socket closes once the peer ends its side, a peer that never does is cut off
+		if(closeTimer === null && !isSocketClosed) {
+			closeTimer = setTimeout(() => socket.destroy(), closeTimeout);
+		}
+		clearInterval(heartbeatTimer);
+		heartbeatTimer = null;
+		clearTimeout(rateLimitTimer);
+		rateLimitTimer = null;
+		clearTimeout(idleTimer);
+		idleTimer = null;
+		pendingPings.length = 0; // free memory
+		payloadBuffers.length = 0; // free memory
+		frameBuffers.length = 0; // free memory
+		pendingChunks.length = 0; // free memory
+		pendingChunksLength = 0;
+		messageLength = 0;
+		sendQueue.length = 0; // free memory
+		pendingHeader = null; // free memory
+		extensions.forEach(extension => extension.close());
+		
+		if(messageStream !== null) {
+			messageStream.destroy(Error('ERR_CONNECTION_CLOSED'));
+			messageStream = null;
+		}
+		
+		// message streams waiting to send fail, held messages are dropped
+		
+		fragmentedMessage = null;
+		heldSends.splice(0).forEach(send => send());
+		drainCallbacks.splice(0).forEach(callback => callback(Error('ERR_CONNECTION_CLOSED')));
+		
+		// listeners first, so the application's onEnd sees their cleanup done
+		// 'error' is only emitted when listened to, EventEmitter throws unhandled ones
+		
+		if(error !== null && self.listenerCount('error') > 0) {
+			self.emit('error', error);
+		}
+		if(CLOSE_CHANNEL !== null && CLOSE_CHANNEL.hasSubscribers) {
+			CLOSE_CHANNEL.publish({ connection: self, appCode, statusCode, error, reason });
+		}
+		self.emit('close', appCode, statusCode, error, reason);
 		if(onEnd !== null) {
-			onEnd(appCode, statusCode, error);
+			onEnd(appCode, statusCode, error, reason);
+		}
+	}
+	
+	function createMessageIterator() {
+		
+		// for await (const message of webSocketConnection), strings and Buffers until the connection closes
+		
+		const messages = []; // received, not taken yet
+		const pendingNexts = []; // { resolve, reject } of next() calls waiting for a message
+		let isDone = state === STATE_CLOSED;
+		let endError = null; // thrown by the next call once the messages before it are taken
+		let isPausing = false; // parsing paused until the reader catches up
+		
+		if(!isDone) {
+			self.on('message', onIteratorMessage);
+			self.on('close', onIteratorClose);
+		}
+		
+		return {
+			next,
+			return: stop, // break out of the loop, the connection stays open
+			[Symbol.asyncIterator]() {
+				return this;
+			},
+		};
+		
+		// functions
+		
+		function next() {
+			if(messages.length > 0) {
+				const value = messages.shift();
+				if(isPausing && messages.length < ITERATOR_HIGH_WATER_MARK) {
+					isPausing = false;
+					resumeParsing();
+				}
+				return Promise.resolve({ value, done: false });
+			}
+			if(endError !== null) {
+				const error = endError;
+				endError = null;
+				return Promise.reject(error);
+			}
+			if(isDone) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+			return new Promise((resolve, reject) => pendingNexts.push({ resolve, reject }));
+		}
+		
+		function stop() {
+			removeIteratorListeners();
+			messages.length = 0; // free memory
+			endError = null;
+			pendingNexts.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+			return Promise.resolve({ value: undefined, done: true });
+		}
+		
+		function onIteratorMessage(data) {
+			if(pendingNexts.length > 0) {
+				return pendingNexts.shift().resolve({ value: data, done: false });
+			}
+			messages.push(data);
+			if(!isPausing && messages.length >= ITERATOR_HIGH_WATER_MARK) {
+				isPausing = true;
+				pauseParsing();
+			}
+		}
+		
+		function onIteratorClose(appCode, statusCode, error) {
+			removeIteratorListeners();
+			
+			// a clean close ends the loop, an error is thrown in it
+			
+			if(pendingNexts.length > 0 && error !== null) {
+				pendingNexts.shift().reject(error);
+			} else {
+				endError = error;
+			}
+			pendingNexts.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+		}
+		
+		function removeIteratorListeners() {
+			isDone = true;
+			self.removeListener('message', onIteratorMessage);
+			self.removeListener('close', onIteratorClose);
+			if(isPausing) {
+				isPausing = false;
+				resumeParsing();
+			}
 		}
 	}
 }
+
+Object.setPrototypeOf(WebSocketConnection.prototype, EventEmitter.prototype);
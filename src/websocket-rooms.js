@@ -0,0 +1,99 @@
+'use strict';
+
+// import
+
+const { prepareMessage } = require('./websocket-protocol');
+
+// export
+
+module.exports = {
+	WebSocketRooms,
+};
+
+// functions
+
+function WebSocketRooms() {
+	
+	// state.internal
+	
+	const rooms = new Map(); // roomId -> Set of WebSocketConnections
+	const memberships = new Map(); // WebSocketConnection -> { roomIds: Set, onEnd }
+	
+	// public
+	
+	Object.assign(this, {
+		// action-rooms
+		join,
+		leave,
+		leaveAll,
+		
+		// action-write
+		publish,
+		
+		// getters-state
+		getRoomIds: () => [ ...rooms.keys() ],
+		getRoomIdsOf: connection => memberships.has(connection) ? [ ...memberships.get(connection).roomIds ] : [],
+		getMembers: roomId => rooms.has(roomId) ? [ ...rooms.get(roomId) ] : [],
+		getMemberCount: roomId => rooms.has(roomId) ? rooms.get(roomId).size : 0,
+		isMember: (connection, roomId) => rooms.has(roomId) && rooms.get(roomId).has(connection),
+	});
+	
+	// functions.public
+	
+	function join(connection, roomId) {
+		if(!connection.isOpen()) return false; // ended meanwhile, would never leave again
+		
+		if(!memberships.has(connection)) {
+			
+			// connections leave their rooms once ended, whatever the application's onEnd does
+			
+			const onEnd = () => leaveAll(connection);
+			connection.once('close', onEnd);
+			memberships.set(connection, { roomIds: new Set(), onEnd });
+		}
+		memberships.get(connection).roomIds.add(roomId);
+		
+		if(!rooms.has(roomId)) {
+			rooms.set(roomId, new Set());
+		}
+		rooms.get(roomId).add(connection);
+		return true;
+	}
+	
+	function leave(connection, roomId) {
+		if(!rooms.has(roomId) || !rooms.get(roomId).delete(connection)) return false;
+		
+		if(rooms.get(roomId).size === 0) {
+			rooms.delete(roomId); // free memory
+		}
+		
+		const membership = memberships.get(connection);
+		membership.roomIds.delete(roomId);
+		if(membership.roomIds.size === 0) {
+			connection.removeListener('close', membership.onEnd);
+			memberships.delete(connection);
+		}
+		return true;
+	}
+	
+	function leaveAll(connection) {
+		if(!memberships.has(connection)) return;
+		memberships.get(connection).roomIds.forEach(roomId => leave(connection, roomId));
+	}
+	
+	function publish(roomId, data, exceptConnection = null) {
+		if(!rooms.has(roomId)) return 0;
+		
+		// framed once, unmasked connections without extensions all write the same frame
+		
+		const preparedMessage = prepareMessage(data);
+		
+		let count = 0;
+		rooms.get(roomId).forEach(connection => {
+			if(connection === exceptConnection || !connection.isOpen()) return;
+			connection.sendPreparedMessage(preparedMessage);
+			++count;
+		});
+		return count;
+	}
+}
@@ -0,0 +1,285 @@
+'use strict';
+
+// static
+
+const CALL_TIMEOUT_MS = 30 * 1000;
+
+// messages are JSON-RPC 2.0 objects, whatever the codec turns them into
+const JSONRPC_VERSION = '2.0';
+const METHOD_CANCEL = '$/cancelRequest'; // notification with { id } of a call the caller gave up on
+
+// JSON-RPC 2.0 [5.1] error codes
+const ERROR_CODE_PARSE = -32700;
+const ERROR_CODE_INVALID_REQUEST = -32600;
+const ERROR_CODE_METHOD_NOT_FOUND = -32601;
+const ERROR_CODE_INTERNAL = -32603;
+
+// codecs turn message objects into text or binary messages and back
+const JSON_CODEC = Object.freeze({
+	isBinary: false,
+	encode: message => JSON.stringify(message),
+	decode: string => JSON.parse(string),
+});
+const BINARY_JSON_CODEC = Object.freeze({
+	isBinary: true,
+	encode: message => Buffer.from(JSON.stringify(message), 'utf8'),
+	decode: buffer => JSON.parse(buffer.toString('utf8')),
+});
+
+// export
+
+module.exports = {
+	WebSocketRpc,
+	JSON_CODEC,
+	BINARY_JSON_CODEC,
+};
+
+// functions
+
+function WebSocketRpc(connection, {
+	codec = JSON_CODEC, // { isBinary, encode(message), decode(data) }, e.g. for MessagePack or CBOR
+	timeout = CALL_TIMEOUT_MS, // default milliseconds calls wait for their result, 0 waits forever
+} = {}) {
+	
+	// state.internal
+	
+	const handlers = new Map(); // method -> (params, { signal }) => result or Promise of it
+	const pendingCalls = new Map(); // id -> { resolve, reject, timer, signal, onAbort }
+	const runningCalls = new Map(); // id -> AbortController of a handler not finished yet
+	let nextId = 1;
+	let closeError = null; // set once the connection ended, later calls fail with it
+	
+	// run
+	
+	connection.on(codec.isBinary ? 'binary' : 'text', onMessage);
+	connection.once('close', onClose);
+	
+	// public
+	
+	Object.assign(this, {
+		// action-write
+		call,
+		notify,
+		
+		// setters-handlers
+		setHandler: (method, handler) => handlers.set(method, handler),
+		removeHandler: method => handlers.delete(method),
+		
+		// getters-state
+		getPendingCallCount: () => pendingCalls.size,
+		getConnection: () => connection,
+	});
+	
+	// functions.public
+	
+	function call(method, params, {
+		timeout: callTimeout = timeout,
+		signal = null, // AbortSignal, aborting cancels the call
+	} = {}) {
+		if(closeError !== null || !connection.isOpen()) {
+			return Promise.reject(closeError || Error('ERR_CONNECTION_CLOSED'));
+		}
+		if(signal !== null && signal.aborted) {
+			return Promise.reject(Error('ERR_RPC_CANCELLED'));
+		}
+		
+		const id = nextId++;
+		
+		// encoded before anything is pending: params the codec cannot encode leave nothing behind
+		
+		let data = null;
+		try {
+			data = codec.encode({ jsonrpc: JSONRPC_VERSION, id, method, params });
+		} catch(error) {
+			return Promise.reject(error);
+		}
+		
+		return new Promise((resolve, reject) => {
+			const pendingCall = {
+				resolve,
+				reject,
+				timer: callTimeout > 0 ? setTimeout(onTimeout, callTimeout) : null,
+				signal,
+				onAbort,
+			};
+			pendingCalls.set(id, pendingCall);
+			if(signal !== null) {
+				signal.addEventListener('abort', onAbort);
+			}
+			try {
+				sendData(data);
+			} catch(error) {
+				settle(id).reject(error); // e.g. ERR_SEND_BUFFER_FULL, never sent so never cancelled
+			}
+			
+			// functions
+			
+			function onTimeout() {
+				cancel(id, Error('ERR_RPC_TIMEOUT'));
+			}
+			
+			function onAbort() {
+				cancel(id, Error('ERR_RPC_CANCELLED'));
+			}
+		});
+	}
+	
+	function notify(method, params) {
+		if(closeError !== null || !connection.isOpen()) return false;
+		return send({ jsonrpc: JSONRPC_VERSION, method, params });
+	}
+	
+	// functions.events
+	
+	function onMessage(data) {
+		let message = null;
+		try {
+			message = codec.decode(data);
+		} catch(error) {
+			return trySend(createErrorResponse(null, ERROR_CODE_PARSE, 'Parse error'));
+		}
+		if(message === null || typeof message !== 'object') {
+			return trySend(createErrorResponse(null, ERROR_CODE_INVALID_REQUEST, 'Invalid Request'));
+		}
+		
+		if(typeof message.method === 'string') {
+			return onRequest(message);
+		}
+		if('id' in message && ('result' in message || 'error' in message)) {
+			return onResponse(message);
+		}
+		const id = message.id !== undefined ? message.id : null;
+		return trySend(createErrorResponse(id, ERROR_CODE_INVALID_REQUEST, 'Invalid Request'));
+	}
+	
+	function onRequest({ id, method, params }) {
+		const isNotification = id === undefined;
+		
+		// the caller gave up, its handler is told through the signal and its result is dropped
+		
+		if(method === METHOD_CANCEL) {
+			if(params && runningCalls.has(params.id)) {
+				runningCalls.get(params.id).abort();
+				runningCalls.delete(params.id);
+			}
+			return;
+		}
+		
+		if(!handlers.has(method)) {
+			if(isNotification) return;
+			return trySend(createErrorResponse(id, ERROR_CODE_METHOD_NOT_FOUND, 'Method not found'));
+		}
+		
+		const abortController = new AbortController();
+		if(!isNotification) {
+			runningCalls.set(id, abortController);
+		}
+		
+		new Promise(resolve => resolve(handlers.get(method)(params, { signal: abortController.signal })))
+		.then(result => {
+			if(!isNotification && runningCalls.get(id) === abortController) {
+				runningCalls.delete(id);
+				sendResponse(id, { jsonrpc: JSONRPC_VERSION, id, result: result === undefined ? null : result });
+			}
+		}, error => {
+			if(!isNotification && runningCalls.get(id) === abortController) {
+				runningCalls.delete(id);
+				
+				// thrown errors reach the caller with their integer code, message and data
+				
+				sendResponse(id, createErrorResponse(
+					id,
+					Number.isInteger(error && error.code) ? error.code : ERROR_CODE_INTERNAL,
+					error && error.message ? String(error.message) : 'Internal error',
+					error ? error.data : undefined
+				));
+			}
+		});
+	}
+	
+	function onResponse({ id, result, error }) {
+		if(!pendingCalls.has(id)) return; // timed out or cancelled meanwhile
+		const { resolve, reject } = settle(id);
+		
+		if(error !== undefined) {
+			return reject(Object.assign(Error('ERR_RPC_REMOTE'), {
+				code: error && error.code,
+				remoteMessage: error && error.message,
+				data: error ? error.data : undefined,
+			}));
+		}
+		resolve(result);
+	}
+	
+	function onClose(appCode, statusCode, error, reason) {
+		closeError = Object.assign(Error('ERR_CONNECTION_CLOSED'), { appCode, statusCode, reason });
+		connection.removeListener(codec.isBinary ? 'binary' : 'text', onMessage);
+		
+		// calls can never be answered now, handlers run on for nobody
+		
+		[ ...pendingCalls.keys() ].forEach(id => settle(id).reject(closeError));
+		runningCalls.forEach(abortController => abortController.abort());
+		runningCalls.clear();
+	}
+	
+	// functions.internal
+	
+	function send(message) {
+		if(!connection.isOpen()) return false;
+		return sendData(codec.encode(message));
+	}
+	
+	function sendData(data) {
+		if(!connection.isOpen()) return false;
+		return codec.isBinary ? connection.sendBinaryMessage(data) : connection.sendTextMessage(data);
+	}
+	
+	function sendResponse(id, response) {
+		let sendError = null;
+		try {
+			return send(response);
+		} catch(error) {
+			sendError = error;
+		}
+		
+		// results the codec cannot encode still answer the caller, instead of leaving it to time out
+		
+		return trySend(createErrorResponse(id, ERROR_CODE_INTERNAL, String(sendError && sendError.message)));
+	}
+	
+	function trySend(message) {
+		
+		// replies and cancellations are sent from timers, abort and 'text' listeners, nothing there could catch:
+		// when the send buffer is full (ERR_SEND_BUFFER_FULL) they are dropped, the peer times out
+		
+		try {
+			return send(message);
+		} catch(error) {
+			return false;
+		}
+	}
+	
+	function cancel(id, error) {
+		if(!pendingCalls.has(id)) return;
+		settle(id).reject(error);
+		trySend({ jsonrpc: JSONRPC_VERSION, method: METHOD_CANCEL, params: { id } });
+	}
+	
+	function settle(id) {
+		const pendingCall = pendingCalls.get(id);
+		pendingCalls.delete(id);
+		clearTimeout(pendingCall.timer);
+		if(pendingCall.signal !== null) {
+			pendingCall.signal.removeEventListener('abort', pendingCall.onAbort);
+		}
+		return pendingCall;
+	}
+}
+
+function createErrorResponse(id, code, message, data) {
+	return {
+		jsonrpc: JSONRPC_VERSION,
+		id,
+		error: data === undefined ? { code, message } : { code, message, data },
+	};
+}
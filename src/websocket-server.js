@@ -0,0 +1,292 @@
+'use strict';
+
+// import
+
+const Http = require('http');
+const {
+	serverUpgradeRequest,
+	serverConnectRequest,
+	rejectUpgradeRequest,
+	prepareMessage,
+} = require('./websocket-protocol');
+
+// static
+
+const CLOSE_CODE_GOING_AWAY = 1001;
+
+const STATE_OPEN = 'OPEN';
+const STATE_CLOSING = 'CLOSING'; // close() called, waiting for connections to finish
+const STATE_CLOSED = 'CLOSED';
+
+// http server -> { routes, onServerUpgrade }, WebSocketServers attached to the same http server
+// share one 'upgrade' listener, which answers requests to paths none of them serves
+const ROUTERS = new WeakMap();
+
+// export
+
+module.exports = {
+	WebSocketServer,
+};
+
+// functions
+
+function WebSocketServer({
+	path = null, // only upgrade requests to this pathname, null for any
+	connectionCounts = new Map(), // maxConnectionsPerIp counts connections of this server only
+	...otherProtocolOptions // serverUpgradeRequest options
+} = {}) {
+	
+	// state.public-write
+	
+	// event callbacks
+	let onConnection = null;
+	let onUpgradeError = null;
+	
+	// state.public-read
+	
+	let state = STATE_OPEN;
+	const connections = new Set(); // live WebSocketConnections, until their socket closes
+	let acceptedCount = 0; // handshakes that opened a connection
+	const rejectedCounts = {}; // error message (ERR_*) -> refused handshakes
+	const closeCodeCounts = {}; // status code -> ended connections
+	const closedStats = {}; // connection counters of connections gone from the registry, summed
+	
+	// state.internal
+	
+	const httpServers = new Map(); // attached server -> this server's route in its router
+	const http2Servers = []; // attached http2 servers
+	let ownHttpServer = null; // created by listen, closed by close
+	const closeCallbacks = []; // waiting for connections to finish
+	const protocolOptions = { ...otherProtocolOptions, connectionCounts };
+	
+	// public
+	
+	Object.assign(this, {
+		// action-server
+		attach,
+		attachHttp2,
+		listen,
+		close,
+		
+		// action-write
+		broadcast,
+		
+		// setters-events
+		setOnConnection: it => onConnection = it,
+		setOnUpgradeError: it => onUpgradeError = it,
+		
+		// getters-state
+		getState: () => state,
+		getConnections: () => [ ...connections ],
+		getConnectionCount: () => connections.size,
+		getHttpServer: () => ownHttpServer,
+		getStats,
+	});
+	
+	// functions.public
+	
+	function attach(httpServer) {
+		if(state !== STATE_OPEN) {
+			throw Error('ERR_SERVER_CLOSED');
+		}
+		if(httpServers.has(httpServer)) return;
+		const route = { path, onUpgrade, onPathRejected };
+		addRoute(httpServer, route);
+		httpServers.set(httpServer, route);
+	}
+	
+	function attachHttp2(http2Server) {
+		if(state !== STATE_OPEN) {
+			throw Error('ERR_SERVER_CLOSED');
+		}
+		
+		// RFC 8441 [3] sessions opened from now on allow the extended CONNECT of WebSocket clients
+		
+		http2Server.updateSettings({ enableConnectProtocol: true });
+		http2Server.on('stream', onStream);
+		http2Servers.push(http2Server);
+	}
+	
+	function listen(...listenArguments) {
+		if(ownHttpServer !== null) {
+			throw Error('ERR_SERVER_LISTENING');
+		}
+		ownHttpServer = Http.createServer((request, response) => {
+			response.statusCode = 426; // RFC 9110 [15.5.22] Upgrade Required
+			response.setHeader('upgrade', 'websocket');
+			response.end();
+		});
+		attach(ownHttpServer);
+		ownHttpServer.listen(...listenArguments); // same arguments as net.Server#listen
+	}
+	
+	function close(code = CLOSE_CODE_GOING_AWAY, reason = '', callback = null) {
+		if(typeof code === 'function') {
+			return close(CLOSE_CODE_GOING_AWAY, '', code);
+		}
+		if(callback !== null) {
+			closeCallbacks.push(callback);
+		}
+		if(state !== STATE_OPEN) {
+			return onConnectionsChanged();
+		}
+		state = STATE_CLOSING;
+		
+		// no new connections, existing ones complete their closing handshake
+		
+		httpServers.forEach((route, httpServer) => removeRoute(httpServer, route));
+		httpServers.clear();
+		http2Servers.forEach(http2Server => http2Server.removeListener('stream', onStream));
+		http2Servers.length = 0;
+		if(ownHttpServer !== null) {
+			ownHttpServer.close();
+		}
+		
+		connections.forEach(connection => connection.end(code, reason));
+		onConnectionsChanged();
+	}
+	
+	function broadcast(data, filter = null) {
+		
+		// encoded once, connections without extensions share the frame
+		
+		const preparedMessage = prepareMessage(data);
+		
+		let count = 0;
+		connections.forEach(connection => {
+			if(!connection.isOpen()) return;
+			if(filter !== null && !filter(connection)) return;
+			connection.sendPreparedMessage(preparedMessage);
+			++count;
+		});
+		return count;
+	}
+	
+	function getStats() {
+		
+		// live connections are summed on demand, so their counters are up to date
+		
+		const totalStats = { ...closedStats };
+		connections.forEach(connection => addStats(totalStats, connection.getStats()));
+		return {
+			connectionCount: connections.size,
+			acceptedCount,
+			rejectedCounts: { ...rejectedCounts },
+			closeCodeCounts: { ...closeCodeCounts },
+			...totalStats,
+		};
+	}
+	
+	// functions.events
+	
+	function onUpgrade(request, socket, head) {
+		
+		// bytes received past the upgrade request already are websocket frames
+		
+		if(head.byteLength > 0) {
+			socket.unshift(head);
+		}
+		
+		serverUpgradeRequest(request, socket, protocolOptions, (error, connection, protocol) => {
+			onHandshake(socket, request, error, connection, protocol);
+		});
+	}
+	
+	function onStream(stream, headers) {
+		
+		// other streams are requests for other handlers of the http2 server
+		
+		if(!(headers[':method'] === 'CONNECT' && headers[':protocol'] === 'websocket')) return;
+		if(path !== null && new URL(headers[':path'] || '/', 'http://localhost').pathname !== path) return;
+		
+		serverConnectRequest(stream, headers, protocolOptions, (error, connection, protocol, request) => {
+			onHandshake(stream, request, error, connection, protocol);
+		});
+	}
+	
+	function onPathRejected() {
+		rejectedCounts['ERR_PATH'] = (rejectedCounts['ERR_PATH'] || 0) + 1;
+	}
+	
+	// functions.internal
+	
+	function onHandshake(socket, request, error, connection, protocol) {
+		if(error) {
+			rejectedCounts[error.message] = (rejectedCounts[error.message] || 0) + 1;
+			rejectUpgradeRequest(socket, error);
+			if(onUpgradeError !== null) {
+				onUpgradeError(error, request);
+			}
+			return;
+		}
+		if(state !== STATE_OPEN) {
+			return connection.end(CLOSE_CODE_GOING_AWAY); // closed while the handshake ran
+		}
+		
+		connections.add(connection);
+		++acceptedCount;
+		connection.once('close', (appCode, statusCode) => {
+			closeCodeCounts[statusCode] = (closeCodeCounts[statusCode] || 0) + 1;
+		});
+		socket.once('close', () => {
+			connections.delete(connection);
+			addStats(closedStats, connection.getStats());
+			onConnectionsChanged();
+		});
+		
+		if(onConnection !== null) {
+			onConnection(connection, request, protocol);
+		}
+	}
+	
+	function onConnectionsChanged() {
+		if(state === STATE_OPEN || connections.size > 0) return;
+		state = STATE_CLOSED;
+		closeCallbacks.splice(0).forEach(callback => callback());
+	}
+}
+
+function addRoute(httpServer, route) {
+	let router = ROUTERS.get(httpServer);
+	if(router === undefined) {
+		const routes = [];
+		router = {
+			routes,
+			onServerUpgrade: (request, socket, head) => routeUpgrade(httpServer, routes, request, socket, head),
+		};
+		httpServer.on('upgrade', router.onServerUpgrade);
+		ROUTERS.set(httpServer, router);
+	}
+	router.routes.push(route);
+}
+
+function removeRoute(httpServer, route) {
+	const router = ROUTERS.get(httpServer);
+	router.routes.splice(router.routes.indexOf(route), 1);
+	if(router.routes.length === 0) {
+		httpServer.removeListener('upgrade', router.onServerUpgrade);
+		ROUTERS.delete(httpServer);
+	}
+}
+
+function routeUpgrade(httpServer, routes, request, socket, head) {
+	const { pathname } = new URL(request.url, 'http://localhost');
+	
+	// servers of the exact path first, then one for any path
+	
+	const route = routes.find(route => route.path === pathname) || routes.find(route => route.path === null);
+	if(route !== undefined) {
+		return route.onUpgrade(request, socket, head);
+	}
+	
+	// other 'upgrade' listeners of the http server may take it, else nobody answers it:
+	// upgraded sockets have no http timeouts, they would stay open for good
+	
+	if(httpServer.listenerCount('upgrade') > 1) return;
+	routes.forEach(route => route.onPathRejected());
+	rejectUpgradeRequest(socket, Object.assign(Error('ERR_PATH'), { statusCode: 404 }));
+}
+
+function addStats(totalStats, stats) {
+	Object.keys(stats).forEach(key => totalStats[key] = (totalStats[key] || 0) + stats[key]);
+}
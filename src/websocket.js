@@ -0,0 +1,354 @@
+'use strict';
+
+// import
+
+const { Blob } = require('buffer'); // a global from nodejs 18 on
+const { createClientConnection } = require('./websocket-protocol');
+const { isWellFormedString } = require('./utf8-validation');
+
+// static
+
+// WHATWG readyState values
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+const BINARY_TYPES = [ 'nodebuffer', 'arraybuffer', 'blob' ]; // 'nodebuffer' is nodejs only
+const URL_SCHEMES = [ 'ws:', 'wss:', 'http:', 'https:' ];
+const MAX_CLOSE_REASON_SIZE = 123;
+
+const CLOSE_CODE_NORMAL = 1000;
+const CLOSE_CODE_ABNORMAL = 1006;
+const CLOSE_CODE_INTERNAL_ERROR = 1011;
+
+// onEnd appCodes of a closing handshake, any other one means the connection failed
+const CLEAN_CLOSE_APP_CODES = [ 'CLOSED_BY_PEER', 'CLOSED_BY_SELF', 'IDLE_TIMEOUT', 'SLOW_PEER' ];
+
+// nodejs has CloseEvent as a global from version 23 on
+const CloseEvent = globalThis.CloseEvent || class CloseEvent extends Event {
+	constructor(type, { wasClean = false, code = 0, reason = '', ...eventInit } = {}) {
+		super(type, eventInit);
+		Object.defineProperties(this, {
+			wasClean: { value: wasClean, enumerable: true },
+			code: { value: code, enumerable: true },
+			reason: { value: reason, enumerable: true },
+		});
+	}
+};
+
+// nodejs has DOMException as a global from version 17 on
+const DOMException = globalThis.DOMException || class DOMException extends Error {
+	constructor(message = '', name = 'Error') {
+		super(message);
+		Object.defineProperty(this, 'name', { value: name, configurable: true, writable: true });
+	}
+};
+
+// class
+
+// a class: EventTarget keeps its listeners in internal slots only its own constructor sets up
+class WebSocket extends EventTarget {
+	constructor(url, protocols = [], clientOptions = {}) {
+		super();
+		
+		// WHATWG [websocket constructor] the URL and protocols are checked before anything is sent
+		
+		const protocolList = typeof protocols === 'string' ? [ protocols ] : [ ...protocols ];
+		const parsedUrl = parseUrl(url);
+		if(new Set(protocolList).size !== protocolList.length) {
+			throw new DOMException('ERR_PROTOCOL', 'SyntaxError');
+		}
+		
+		// state.public-write
+		
+		let binaryType = 'blob'; // WHATWG default, so the same code behaves the same everywhere
+		const eventHandlers = {
+			open: null,
+			message: null,
+			error: null,
+			close: null,
+		};
+		
+		// state.public-read
+		
+		let readyState = CONNECTING; // CONNECTING -> OPEN -> CLOSING -> CLOSED
+		let protocol = ''; // selected by the server
+		let extensions = ''; // accepted by the server
+		
+		// state.internal
+		
+		const self = this; // target of the dispatched events
+		let connection = null; // WebSocketConnection once open
+		let isFailed = false; // closed while connecting, the handshake result is dropped
+		const queuedSends = []; // data waiting behind a Blob being read, to keep the order of sends
+		let queuedLength = 0; // bytes of queued data
+		let discardedLength = 0; // WHATWG [send] data sent once closing still counts as buffered
+		
+		// run
+		
+		createClientConnection({
+			...clientOptions,
+			url: parsedUrl.href,
+			protocols: protocolList,
+		}, onHandshake);
+		
+		// public
+		
+		Object.assign(this, {
+			// action-close
+			close,
+			
+			// action-write
+			send,
+		});
+		
+		Object.defineProperties(this, {
+			// setters-events
+			...createEventHandlerProperties(),
+			
+			// setters-state
+			binaryType: {
+				get: () => binaryType,
+				set: it => {
+					if(BINARY_TYPES.includes(it)) binaryType = it; // WHATWG: other values are ignored
+				},
+				enumerable: true,
+			},
+			
+			// getters-state
+			url: { get: () => parsedUrl.href, enumerable: true },
+			readyState: { get: () => readyState, enumerable: true },
+			protocol: { get: () => protocol, enumerable: true },
+			extensions: { get: () => extensions, enumerable: true },
+			bufferedAmount: {
+				get: () => (connection !== null ? connection.getBufferedAmount() : 0) + queuedLength + discardedLength,
+				enumerable: true,
+			},
+		});
+		
+		// functions.public
+		
+		function close(code, reason = '') {
+			if(code !== undefined && !(code === CLOSE_CODE_NORMAL || (code >= 3000 && code <= 4999))) {
+				throw new DOMException('ERR_CLOSE_CODE', 'InvalidAccessError');
+			}
+			if(Buffer.byteLength(toWellFormedString(reason), 'utf8') > MAX_CLOSE_REASON_SIZE) {
+				throw new DOMException('ERR_CLOSE_REASON_TOO_LONG', 'SyntaxError');
+			}
+			if(readyState === CLOSING || readyState === CLOSED) return;
+			
+			// WHATWG [close] closing while connecting fails the connection
+			
+			if(readyState === CONNECTING) {
+				isFailed = true;
+				readyState = CLOSING;
+				return setImmediate(onClose, true, CLOSE_CODE_ABNORMAL, '', null);
+			}
+			
+			readyState = CLOSING;
+			connection.end(code === undefined ? CLOSE_CODE_NORMAL : code, toWellFormedString(reason));
+		}
+		
+		function send(data) {
+			if(readyState === CONNECTING) {
+				throw new DOMException('ERR_CONNECTING', 'InvalidStateError');
+			}
+			if(readyState !== OPEN) {
+				discardedLength += getByteLength(data);
+				return;
+			}
+			
+			// Blob contents are read asynchronously, later sends wait for them
+			
+			if(queuedSends.length > 0 || data instanceof Blob) {
+				queuedSends.push(data);
+				queuedLength += getByteLength(data);
+				if(queuedSends.length === 1) {
+					sendQueued();
+				}
+				return;
+			}
+			sendData(data);
+		}
+		
+		// functions.events
+		
+		function onHandshake(error, webSocketConnection, selectedProtocol, response) {
+			if(isFailed) {
+				if(!error) {
+					webSocketConnection.end(); // closed while connecting, already reported
+				}
+				return;
+			}
+			if(error) {
+				readyState = CLOSED;
+				return onClose(true, CLOSE_CODE_ABNORMAL, '', error);
+			}
+			
+			connection = webSocketConnection;
+			readyState = OPEN;
+			protocol = selectedProtocol || '';
+			extensions = response.headers['sec-websocket-extensions'] || '';
+			
+			connection.setOnTextMessage(string => dispatchMessage(string));
+			connection.setOnBinaryMessage(buffer => dispatchMessage(toBinaryType(buffer)));
+			connection.setOnEnd((appCode, statusCode, error, reason) => {
+				
+				// WHATWG [feedback from the protocol] failing the connection (protocol errors, invalid UTF-8,
+				// oversized messages, lost sockets) reports 1006, whatever status code was sent to the peer
+				
+				if(!CLEAN_CLOSE_APP_CODES.includes(appCode)) {
+					return onClose(true, CLOSE_CODE_ABNORMAL, '', error);
+				}
+				onClose(false, statusCode, reason, error);
+			});
+			
+			self.dispatchEvent(new Event('open'));
+		}
+		
+		function onClose(isFailed, code, reason, error) {
+			readyState = CLOSED;
+			queuedSends.length = 0; // free memory
+			queuedLength = 0;
+			
+			// WHATWG [feedback from the protocol] a failed connection fires error before close
+			
+			if(isFailed) {
+				self.dispatchEvent(Object.assign(new Event('error'), { error })); // error: nodejs only
+			}
+			self.dispatchEvent(new CloseEvent('close', {
+				wasClean: !isFailed,
+				code,
+				reason,
+			}));
+		}
+		
+		// functions.internal
+		
+		function createEventHandlerProperties() {
+			
+			// WHATWG [event handlers] onX attributes hold one listener each, next to addEventListener ones
+			
+			const properties = {};
+			Object.keys(eventHandlers).forEach(type => {
+				properties['on' + type] = {
+					get: () => eventHandlers[type],
+					set: it => {
+						if(eventHandlers[type] !== null) {
+							self.removeEventListener(type, eventHandlers[type]);
+						}
+						eventHandlers[type] = typeof it === 'function' ? it : null;
+						if(eventHandlers[type] !== null) {
+							self.addEventListener(type, eventHandlers[type]);
+						}
+					},
+					enumerable: true,
+				};
+			});
+			return properties;
+		}
+		
+		function dispatchMessage(data) {
+			self.dispatchEvent(new MessageEvent('message', { data, origin: parsedUrl.origin }));
+		}
+		
+		function toBinaryType(buffer) {
+			switch(binaryType) {
+				case 'nodebuffer': return buffer;
+				case 'arraybuffer': return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+				default: return new Blob([ buffer ]);
+			}
+		}
+		
+		function sendQueued() {
+			while(queuedSends.length > 0) {
+				const data = queuedSends[0];
+				if(data instanceof Blob) {
+					return data.arrayBuffer().then(arrayBuffer => {
+						if(readyState !== OPEN) return;
+						sendData(arrayBuffer);
+						dequeue();
+					}, () => {
+						if(readyState !== OPEN) return;
+						readyState = CLOSING; // unreadable Blob, the messages after it cannot be sent in order
+						connection.end(CLOSE_CODE_INTERNAL_ERROR);
+					});
+				}
+				sendData(data);
+				queuedSends.shift();
+				queuedLength -= getByteLength(data);
+			}
+			
+			// functions
+			
+			function dequeue() {
+				queuedLength -= getByteLength(queuedSends.shift());
+				sendQueued();
+			}
+		}
+		
+		function sendData(data) {
+			if(typeof data === 'string') {
+				connection.sendTextMessage(toWellFormedString(data));
+			} else if(data instanceof ArrayBuffer) {
+				connection.sendBinaryMessage(Buffer.from(data));
+			} else if(ArrayBuffer.isView(data)) {
+				connection.sendBinaryMessage(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+			} else {
+				connection.sendTextMessage(toWellFormedString(String(data))); // WHATWG: anything else is a string
+			}
+		}
+	}
+}
+
+// WHATWG [interface] readyState constants on both the interface and its instances
+[ WebSocket, WebSocket.prototype ].forEach(it => Object.defineProperties(it, {
+	CONNECTING: { value: CONNECTING, enumerable: true },
+	OPEN: { value: OPEN, enumerable: true },
+	CLOSING: { value: CLOSING, enumerable: true },
+	CLOSED: { value: CLOSED, enumerable: true },
+}));
+
+// export
+
+module.exports = {
+	WebSocket,
+	CloseEvent,
+};
+
+// functions
+
+function parseUrl(url) {
+	let parsedUrl = null;
+	try {
+		parsedUrl = new URL(url);
+	} catch(error) {
+		throw new DOMException('ERR_URL', 'SyntaxError');
+	}
+	if(!URL_SCHEMES.includes(parsedUrl.protocol)) {
+		throw new DOMException('ERR_URL_SCHEME', 'SyntaxError');
+	}
+	if(parsedUrl.hash !== '') {
+		throw new DOMException('ERR_URL_FRAGMENT', 'SyntaxError');
+	}
+	
+	// WHATWG [websocket constructor] http: and https: URLs are taken as ws: and wss:
+	
+	parsedUrl.protocol = parsedUrl.protocol.replace('http', 'ws');
+	return parsedUrl;
+}
+
+function getByteLength(data) {
+	if(typeof data === 'string') return Buffer.byteLength(data, 'utf8');
+	if(data instanceof Blob) return data.size;
+	if(data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data.byteLength;
+	return Buffer.byteLength(String(data), 'utf8');
+}
+
+function toWellFormedString(string) {
+	
+	// WHATWG strings are USVStrings: lone surrogates become U+FFFD
+	
+	return isWellFormedString(string) ? string : Buffer.from(string, 'utf8').toString('utf8');
+}
@@ -0,0 +1,125 @@
+/**
+	@howtouse
+		run
+		$ node ./test/closing-handshake.js
+		
+		closes connections of a WebSocketServer over real TCP sockets in every order the peer can,
+		the server socket has to close in each case: http server sockets allow half-open connections,
+		and a socket that never closes would stay in the registry and hold its per-IP slot
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const Net = require('net');
+const { WebSocketServer } = require('../src/websocket-server');
+const { test, start } = require('./test-runner');
+
+// static
+
+const CLOSE_TIMEOUT_MS = 300;
+const SETTLE_TIME_MS = 100;
+
+const CLOSE_FRAME_1000_MASKED = Buffer.from([ 0x88, 0x82, 0, 0, 0, 0, 0x03, 0xe8 ]);
+
+// run
+
+test('peer ends the socket without a close frame', async ({ webSocketServer, connect, ends }) => {
+	const socket = await connect();
+	socket.end();
+	await wait(SETTLE_TIME_MS);
+	Assert.strictEqual(webSocketServer.getConnectionCount(), 0);
+	Assert.deepStrictEqual(ends, [ [ 'CONNECTION_CLOSED', 1006 ] ]);
+});
+
+test('peer ends the socket after our close frame, without answering it', async ({ webSocketServer, connect, ends }) => {
+	const socket = await connect();
+	socket.on('data', () => socket.end());
+	webSocketServer.getConnections()[0].end(1000);
+	await wait(SETTLE_TIME_MS);
+	Assert.strictEqual(webSocketServer.getConnectionCount(), 0);
+	Assert.deepStrictEqual(ends, [ [ 'CLOSE_UNANSWERED', 1006 ] ]);
+});
+
+test('peer never answers our close frame', async ({ webSocketServer, connect, ends }) => {
+	await connect();
+	webSocketServer.getConnections()[0].end(1000);
+	await wait(CLOSE_TIMEOUT_MS + SETTLE_TIME_MS);
+	Assert.strictEqual(webSocketServer.getConnectionCount(), 0);
+	Assert.deepStrictEqual(ends, [ [ 'CLOSE_UNANSWERED', 1006 ] ]);
+});
+
+test('peer answers our close frame', async ({ webSocketServer, connect, ends }) => {
+	const socket = await connect();
+	socket.on('data', () => socket.end(CLOSE_FRAME_1000_MASKED));
+	webSocketServer.getConnections()[0].end(1000);
+	await wait(SETTLE_TIME_MS);
+	Assert.strictEqual(webSocketServer.getConnectionCount(), 0);
+	Assert.deepStrictEqual(ends, [ [ 'CLOSED_BY_SELF', 1000 ] ]);
+});
+
+test('peer closes, then keeps its side of the socket open', async ({ webSocketServer, connect, ends }) => {
+	const socket = await connect();
+	socket.on('end', () => {}); // no end of its own
+	socket.write(CLOSE_FRAME_1000_MASKED);
+	await wait(CLOSE_TIMEOUT_MS + SETTLE_TIME_MS);
+	Assert.strictEqual(webSocketServer.getConnectionCount(), 0);
+	Assert.deepStrictEqual(ends, [ [ 'CLOSED_BY_PEER', 1000 ] ]);
+	
+	// the per-IP slot is free again
+	
+	await connect();
+	Assert.strictEqual(webSocketServer.getConnectionCount(), 1);
+});
+
+start({ setUp, tearDown });
+
+// functions
+
+async function setUp() {
+	const webSocketServer = new WebSocketServer({ maxConnectionsPerIp: 1, closeTimeout: CLOSE_TIMEOUT_MS });
+	const ends = [];
+	webSocketServer.setOnConnection(connection => {
+		connection.setOnEnd((appCode, statusCode) => ends.push([ appCode, statusCode ]));
+	});
+	await new Promise(resolve => webSocketServer.listen(0, '127.0.0.1', resolve));
+	const sockets = [];
+	const connect = () => connectRaw(webSocketServer.getHttpServer().address().port).then(socket => {
+		sockets.push(socket);
+		return socket;
+	});
+	return { webSocketServer, connect, ends, sockets };
+}
+
+async function tearDown({ webSocketServer, sockets }) {
+	sockets.forEach(socket => socket.destroy());
+	await new Promise(resolve => webSocketServer.close(resolve));
+}
+
+function connectRaw(port) {
+	
+	// a plain TCP client, to end and half-close the socket in ways a WebSocket client would not
+	
+	return new Promise((resolve, reject) => {
+		const socket = Net.connect(port, '127.0.0.1', () => {
+			socket.write([
+				'GET / HTTP/1.1',
+				'host: 127.0.0.1',
+				'upgrade: websocket',
+				'connection: upgrade',
+				'sec-websocket-key: AAAAAAAAAAAAAAAAAAAAAA==',
+				'sec-websocket-version: 13',
+				'',
+				'',
+			].join('\r\n'));
+		});
+		socket.once('data', () => setTimeout(resolve, 20, socket)); // the 101 response
+		socket.once('error', reject);
+	});
+}
+
+function wait(milliseconds) {
+	return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
@@ -0,0 +1,257 @@
+/**
+	@howtouse
+		run
+		$ node ./test/frame-parser.js
+		
+		feeds frames to server-side (masked) and client-side (unmasked) connections
+		one byte at a time and packed into single chunks, the frame parser has to
+		produce the same messages whatever the chunk boundaries are
+		
+		connections run over in-memory sockets, so every chunk arrives exactly as fed
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const Crypto = require('crypto');
+const EventEmitter = require('events');
+const { serverUpgradeRequest, createClientConnection } = require('../src/websocket-protocol');
+const runner = require('./test-runner');
+
+// static
+
+const WEB_SOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION_FRAME = 0x0;
+const OPCODE_TEXT_FRAME = 0x1;
+const OPCODE_BINARY_FRAME = 0x2;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// peer side -> whether the frames it receives are masked
+const SIDES = {
+	'server': true,
+	'client': false,
+};
+
+// run
+
+test('text message, 7-bit length, byte by byte', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	feedByteByByte(socket, createFrame(OPCODE_TEXT_FRAME, 'hello κόσμε', { isMasked }));
+	Assert.deepStrictEqual(messages, [ 'hello κόσμε' ]);
+});
+
+test('binary message, 16-bit length, byte by byte', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	const payload = Crypto.randomBytes(300);
+	feedByteByByte(socket, createFrame(OPCODE_BINARY_FRAME, payload, { isMasked }));
+	Assert.deepStrictEqual(messages, [ payload ]);
+});
+
+test('binary message, 64-bit length, byte by byte', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	const payload = Crypto.randomBytes(70 * 1024);
+	feedByteByByte(socket, createFrame(OPCODE_BINARY_FRAME, payload, { isMasked }));
+	Assert.deepStrictEqual(messages, [ payload ]);
+});
+
+test('empty message, byte by byte', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	feedByteByByte(socket, createFrame(OPCODE_TEXT_FRAME, '', { isMasked }));
+	Assert.deepStrictEqual(messages, [ '' ]);
+});
+
+test('ping between continuation frames, byte by byte', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	const pings = [];
+	connection.on('ping', payload => pings.push(payload.toString()));
+	feedByteByByte(socket, Buffer.concat([
+		createFrame(OPCODE_TEXT_FRAME, 'frag', { isMasked, isFin: false }),
+		createFrame(OPCODE_CONTINUATION_FRAME, 'men', { isMasked, isFin: false }),
+		createFrame(OPCODE_PING, 'are you there', { isMasked }),
+		createFrame(OPCODE_CONTINUATION_FRAME, 'ted', { isMasked }),
+	]));
+	Assert.deepStrictEqual(pings, [ 'are you there' ]);
+	Assert.deepStrictEqual(messages, [ 'fragmented' ]);
+	
+	// the pong echoes the ping payload, in between the fragments
+	
+	const pong = parseFrame(socket.written[socket.written.length - 1]);
+	Assert.strictEqual(pong.opCode, OPCODE_PONG);
+	Assert.strictEqual(pong.payload.toString(), 'are you there');
+});
+
+test('several frames in one chunk', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	const payload = Crypto.randomBytes(300);
+	socket.emit('data', Buffer.concat([
+		createFrame(OPCODE_TEXT_FRAME, 'one', { isMasked }),
+		createFrame(OPCODE_BINARY_FRAME, payload, { isMasked }),
+		createFrame(OPCODE_TEXT_FRAME, 'th', { isMasked, isFin: false }),
+		createFrame(OPCODE_PING, '', { isMasked }),
+		createFrame(OPCODE_CONTINUATION_FRAME, 'ree', { isMasked }),
+	]));
+	Assert.deepStrictEqual(messages, [ 'one', payload, 'three' ]);
+});
+
+test('several frames split at every offset', ({ connection, socket, isMasked }) => {
+	const messages = collectMessages(connection);
+	const frames = Buffer.concat([
+		createFrame(OPCODE_TEXT_FRAME, 'first', { isMasked }),
+		createFrame(OPCODE_BINARY_FRAME, Buffer.alloc(200, 7), { isMasked }),
+	]);
+	for(let offset = 1; offset < frames.byteLength; ++offset) {
+		
+		// copies: payloads are unmasked in place
+		
+		socket.emit('data', Buffer.from(frames.slice(0, offset)));
+		socket.emit('data', Buffer.from(frames.slice(offset)));
+	}
+	Assert.strictEqual(messages.length, 2 * (frames.byteLength - 1));
+	for(let i = 0; i < messages.length; i += 2) {
+		Assert.strictEqual(messages[i], 'first');
+		Assert.deepStrictEqual(messages[i + 1], Buffer.alloc(200, 7));
+	}
+});
+
+test('unmasked frame to a server fails the connection with 1008', ({ connection, socket, isMasked }) => {
+	const ends = [];
+	connection.setOnEnd((appCode, statusCode) => ends.push([ appCode, statusCode ]));
+	feedByteByByte(socket, createFrame(OPCODE_TEXT_FRAME, 'x', { isMasked: !isMasked }));
+	Assert.deepStrictEqual(ends, [ [ 'ERR_PEER_MASKING_DISABLED', 1008 ] ]);
+}, [ 'server' ]); // clients accept masked frames
+
+runner.start({ setUp });
+
+// functions
+
+function test(name, run, sides = Object.keys(SIDES)) {
+	sides.forEach(side => runner.test(side + ': ' + name, run, { side }));
+}
+
+function setUp({ side }) {
+	const openConnection = side === 'server' ? openServerConnection : openClientConnection;
+	return new Promise((resolve, reject) => {
+		openConnection((error, connection, socket) => {
+			if(error) return reject(error);
+			resolve({ connection, socket, isMasked: SIDES[side] });
+		});
+	});
+}
+
+function openServerConnection(callback) {
+	const socket = createFakeSocket();
+	const request = {
+		method: 'GET',
+		url: '/',
+		httpVersionMajor: 1,
+		httpVersionMinor: 1,
+		headers: {
+			'upgrade': 'websocket',
+			'connection': 'Upgrade',
+			'sec-websocket-key': Crypto.randomBytes(16).toString('base64'),
+			'sec-websocket-version': '13',
+		},
+	};
+	serverUpgradeRequest(request, socket, {}, (error, connection) => {
+		socket.written.length = 0; // the handshake response
+		callback(error, connection, socket);
+	});
+}
+
+function openClientConnection(callback) {
+	const socket = createFakeSocket();
+	
+	// answer the client handshake as a server would
+	
+	socket.write = data => {
+		const key = String(data).match(/sec-websocket-key: *(\S+)/i)[1];
+		const accept = Crypto.createHash('sha1').update(key + WEB_SOCKET_GUID).digest('base64');
+		socket.write = data => socket.written.push(Buffer.from(data));
+		setImmediate(() => socket.emit('data', Buffer.from([
+			'HTTP/1.1 101 Switching Protocols',
+			'upgrade: websocket',
+			'connection: upgrade',
+			'sec-websocket-accept: ' + accept,
+			'',
+			'',
+		].join('\r\n'))));
+		return true;
+	};
+	
+	createClientConnection({
+		url: 'ws://localhost/',
+		createSocket: (target, callback) => callback(null, socket),
+	}, (error, connection) => callback(error, connection, socket));
+}
+
+function createFakeSocket() {
+	const socket = new EventEmitter();
+	return Object.assign(socket, {
+		written: [],
+		writableLength: 0,
+		destroyed: false,
+		write: data => socket.written.push(Buffer.from(data)),
+		end: () => {},
+		destroy: () => socket.destroyed = true,
+		pause: () => {},
+		resume: () => {},
+		unshift: data => socket.emit('data', data),
+	});
+}
+
+function collectMessages(connection) {
+	const messages = [];
+	connection.setOnTextMessage(string => messages.push(string));
+	connection.setOnBinaryMessage(buffer => messages.push(buffer));
+	return messages;
+}
+
+function feedByteByByte(socket, buffer) {
+	for(let i = 0; i < buffer.byteLength; ++i) {
+		socket.emit('data', buffer.slice(i, i + 1));
+	}
+}
+
+function createFrame(opCode, payload, { isFin = true, isMasked = true } = {}) {
+	const data = Buffer.from(payload);
+	const { byteLength } = data;
+	
+	let header = null;
+	if(byteLength < 126) {
+		header = Buffer.from([ 0, byteLength ]);
+	} else if(byteLength < (2 ** 16)) {
+		header = Buffer.from([ 0, 126, 0, 0 ]);
+		header.writeUInt16BE(byteLength, 2);
+	} else {
+		header = Buffer.from([ 0, 127, 0, 0, 0, 0, 0, 0, 0, 0 ]);
+		header.writeUInt32BE(byteLength, 6);
+	}
+	header[0] = (isFin ? (1 << 7) : 0) + opCode;
+	if(!isMasked) {
+		return Buffer.concat([ header, data ]);
+	}
+	
+	header[1] |= (1 << 7);
+	const maskingKey = Crypto.randomBytes(4);
+	const maskedData = Buffer.alloc(byteLength);
+	for(let i = 0; i < byteLength; ++i) {
+		maskedData[i] = data[i] ^ maskingKey[i % 4];
+	}
+	return Buffer.concat([ header, maskingKey, maskedData ]);
+}
+
+function parseFrame(frame) {
+	const isMasked = (frame[1] & (1 << 7)) !== 0;
+	const length = frame[1] & 0x7f; // control frames only, 125 bytes at most
+	const payload = frame.slice(isMasked ? 6 : 2, (isMasked ? 6 : 2) + length);
+	if(isMasked) {
+		for(let i = 0; i < length; ++i) {
+			payload[i] ^= frame[2 + (i % 4)];
+		}
+	}
+	return { opCode: frame[0] & 0x0f, payload };
+}
@@ -0,0 +1,292 @@
+/**
+	@howtouse
+		run
+		$ node ./test/permessage-deflate.js
+		
+		negotiates permessage-deflate between a client and a server PerMessageDeflate,
+		then passes frames from one to the other as the connections do;
+		the last cases run compressed messages through a WebSocketServer and a client
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const Crypto = require('crypto');
+const Zlib = require('zlib');
+const { PerMessageDeflate, createClientConnectionAsync } = require('../src/websocket-protocol');
+const { WebSocketServer } = require('../src/websocket-server');
+const { test, start } = require('./test-runner');
+
+// static
+
+const RSV1 = 0b100;
+
+const OPCODE_CONTINUATION_FRAME = 0x0;
+const OPCODE_TEXT_FRAME = 0x1;
+const OPCODE_BINARY_FRAME = 0x2;
+const OPCODE_PING = 0x9;
+
+const DEFLATE_TRAILER = Buffer.from([ 0x00, 0x00, 0xff, 0xff ]);
+
+// run
+
+test('default offer and response', () => {
+	const { offer, response, isAccepted } = negotiate();
+	Assert.deepStrictEqual(offer, { 'client_max_window_bits': true });
+	Assert.deepStrictEqual(response, {});
+	Assert.strictEqual(isAccepted, true);
+});
+
+test('no_context_takeover, asked by the client and granted by the server', () => {
+	const { offer, response, isAccepted } = negotiate({}, { serverNoContextTakeover: true, clientNoContextTakeover: true });
+	Assert.strictEqual(offer['server_no_context_takeover'], true);
+	Assert.strictEqual(offer['client_no_context_takeover'], true);
+	Assert.strictEqual(response['server_no_context_takeover'], true);
+	Assert.strictEqual(isAccepted, true);
+});
+
+test('no_context_takeover, asked of the client by the server', () => {
+	const { response, isAccepted } = negotiate({ clientNoContextTakeover: true });
+	Assert.deepStrictEqual(response, { 'client_no_context_takeover': true });
+	Assert.strictEqual(isAccepted, true);
+});
+
+test('server_no_context_takeover missing from the response is refused', () => {
+	const client = new PerMessageDeflate({ isServer: false, serverNoContextTakeover: true });
+	client.createOffer();
+	Assert.strictEqual(client.acceptResponse({}), false);
+});
+
+test('max_window_bits, the smaller of both sides wins', () => {
+	const { response, isAccepted } = negotiate(
+		{ serverMaxWindowBits: 12, clientMaxWindowBits: 11 },
+		{ serverMaxWindowBits: 10 }
+	);
+	Assert.deepStrictEqual(response, { 'server_max_window_bits': '10', 'client_max_window_bits': '11' });
+	Assert.strictEqual(isAccepted, true);
+});
+
+test('max_window_bits the other side cannot honor', () => {
+	const server = new PerMessageDeflate({ isServer: true, clientMaxWindowBits: 10 });
+	Assert.strictEqual(server.acceptOffers([ {} ]), null); // client did not offer client_max_window_bits
+	Assert.strictEqual(server.acceptOffers([ { 'server_max_window_bits': '8' } ]), null); // zlib raises 8 to 9
+	Assert.deepStrictEqual(server.acceptOffers([ { 'server_max_window_bits': '8' }, { 'client_max_window_bits': true } ]), {
+		'client_max_window_bits': '10',
+	});
+	
+	const client = new PerMessageDeflate({ isServer: false, serverMaxWindowBits: 10 });
+	Assert.strictEqual(client.acceptResponse({}), false);
+	Assert.strictEqual(client.acceptResponse({ 'server_max_window_bits': '12' }), false);
+});
+
+test('invalid parameters are refused', () => {
+	const server = new PerMessageDeflate({ isServer: true });
+	Assert.strictEqual(server.acceptOffers([ { 'unknown': true } ]), null);
+	Assert.strictEqual(server.acceptOffers([ { 'server_max_window_bits': '16' } ]), null);
+	Assert.strictEqual(server.acceptOffers([ { 'server_no_context_takeover': '1' } ]), null);
+	
+	const client = new PerMessageDeflate({ isServer: false });
+	Assert.strictEqual(client.acceptResponse({ 'client_max_window_bits': true }), false); // needs a value in a response
+	Assert.strictEqual(client.acceptResponse({ 'server_max_window_bits': '7' }), false); // below 8
+	Assert.throws(() => new PerMessageDeflate({ isServer: true, serverMaxWindowBits: 8 }), /ERR_DEFLATE_WINDOW_BITS/);
+});
+
+test('compressed message without the trailer, RSV1 set', async () => {
+	const { client, server } = negotiate();
+	const payload = Buffer.from('compress me '.repeat(200));
+	const [ frame ] = await processFrames(client, 'processOutgoingFrame', [ createFrame(OPCODE_TEXT_FRAME, payload) ]);
+	Assert.strictEqual(frame.rsvBits, RSV1);
+	Assert.ok(frame.payload.byteLength < payload.byteLength);
+	Assert.notDeepStrictEqual(frame.payload.slice(-4), DEFLATE_TRAILER);
+	
+	const [ received ] = await processFrames(server, 'processIncomingFrame', [ frame ]);
+	Assert.strictEqual(received.rsvBits, 0);
+	Assert.deepStrictEqual(received.payload, payload);
+});
+
+test('messages below the threshold are sent uncompressed', async () => {
+	const { client } = negotiate({}, { threshold: 100 });
+	const payload = Buffer.from('short');
+	const [ frame ] = await processFrames(client, 'processOutgoingFrame', [ createFrame(OPCODE_TEXT_FRAME, payload) ]);
+	Assert.strictEqual(frame.rsvBits, 0);
+	Assert.deepStrictEqual(frame.payload, payload);
+});
+
+test('fragmented compressed message, RSV1 on the first frame only', async () => {
+	const { client, server } = negotiate();
+	const parts = [ 'first part, ', 'second part, ', 'last part' ].map(string => Buffer.from(string.repeat(50)));
+	const frames = await processFrames(client, 'processOutgoingFrame', [
+		createFrame(OPCODE_BINARY_FRAME, parts[0], false),
+		createFrame(OPCODE_CONTINUATION_FRAME, parts[1], false),
+		createFrame(OPCODE_CONTINUATION_FRAME, parts[2]),
+	]);
+	Assert.deepStrictEqual(frames.map(frame => frame.rsvBits), [ RSV1, 0, 0 ]);
+	
+	const received = await processFrames(server, 'processIncomingFrame', frames);
+	Assert.deepStrictEqual(Buffer.concat(received.map(frame => frame.payload)), Buffer.concat(parts));
+});
+
+test('RSV1 on a continuation or control frame fails with 1002', async () => {
+	const { server } = negotiate();
+	for(const opCode of [ OPCODE_CONTINUATION_FRAME, OPCODE_PING ]) {
+		await Assert.rejects(processFrames(server, 'processIncomingFrame', [
+			{ ...createFrame(opCode, Buffer.alloc(0)), rsvBits: RSV1 },
+		]), error => error.message === 'ERR_DEFLATE_RSV1' && error.statusCode === 1002);
+	}
+});
+
+test('context takeover, and none with no_context_takeover', async () => {
+	const payload = Buffer.from('the same message, twice '.repeat(100));
+	const message = () => createFrame(OPCODE_TEXT_FRAME, payload);
+	
+	// with takeover the second message refers to the first one
+	
+	const takeover = negotiate();
+	const takeoverFrames = await processFrames(takeover.server, 'processOutgoingFrame', [ message(), message() ]);
+	Assert.ok(takeoverFrames[1].payload.byteLength < takeoverFrames[0].payload.byteLength);
+	const takeoverReceived = await processFrames(takeover.client, 'processIncomingFrame', takeoverFrames);
+	takeoverReceived.forEach(frame => Assert.deepStrictEqual(frame.payload, payload));
+	
+	// without, each message inflates on its own
+	
+	const noTakeover = negotiate({}, { serverNoContextTakeover: true });
+	const frames = await processFrames(noTakeover.server, 'processOutgoingFrame', [ message(), message() ]);
+	Assert.deepStrictEqual(frames[1].payload, frames[0].payload);
+	Assert.deepStrictEqual(inflateAlone(frames[1].payload), payload);
+	const received = await processFrames(noTakeover.client, 'processIncomingFrame', frames);
+	received.forEach(frame => Assert.deepStrictEqual(frame.payload, payload));
+});
+
+test('max_window_bits limits the distances the compressor refers back to', async () => {
+	
+	// 2000 random bytes twice: only a window of more than 2000 bytes can refer to the first copy,
+	// a 512-byte window (9 bits) has to send both copies
+	
+	const half = Crypto.randomBytes(2000);
+	const payload = Buffer.concat([ half, half ]);
+	
+	const wide = negotiate();
+	const [ wideFrame ] = await processFrames(wide.client, 'processOutgoingFrame', [ createFrame(OPCODE_BINARY_FRAME, payload) ]);
+	Assert.ok(wideFrame.payload.byteLength < half.byteLength + 100);
+	
+	const narrow = negotiate({ clientMaxWindowBits: 9 });
+	const [ narrowFrame ] = await processFrames(narrow.client, 'processOutgoingFrame', [ createFrame(OPCODE_BINARY_FRAME, payload) ]);
+	Assert.ok(narrowFrame.payload.byteLength > payload.byteLength - 100);
+	Assert.deepStrictEqual(inflateAlone(narrowFrame.payload, 9), payload);
+	const [ received ] = await processFrames(narrow.server, 'processIncomingFrame', [ narrowFrame ]);
+	Assert.deepStrictEqual(received.payload, payload);
+});
+
+test('maxMessageSize caps inflated messages, fragments included, with 1009', async () => {
+	const { client } = negotiate();
+	const server = new PerMessageDeflate({ isServer: true, maxMessageSize: 1000 });
+	server.acceptOffers([ client.createOffer() ]);
+	
+	const bomb = await processFrames(client, 'processOutgoingFrame', [ createFrame(OPCODE_BINARY_FRAME, Buffer.alloc(1000 * 1000)) ]);
+	Assert.ok(bomb[0].payload.byteLength < 2000);
+	await Assert.rejects(processFrames(server, 'processIncomingFrame', bomb), error => (
+		error.message === 'ERR_MESSAGE_TOO_BIG' && error.statusCode === 1009
+	));
+	
+	const fragments = await processFrames(client, 'processOutgoingFrame', [
+		createFrame(OPCODE_TEXT_FRAME, Buffer.alloc(600, 'a'), false),
+		createFrame(OPCODE_CONTINUATION_FRAME, Buffer.alloc(600, 'b')),
+	]);
+	const limited = new PerMessageDeflate({ isServer: true, maxMessageSize: 1000 });
+	limited.acceptOffers([ client.createOffer() ]);
+	await Assert.rejects(processFrames(limited, 'processIncomingFrame', fragments), /ERR_MESSAGE_TOO_BIG/);
+});
+
+test('connections negotiate it and echo fragmented compressed messages', async () => {
+	const webSocketServer = new WebSocketServer({ perMessageDeflate: { serverNoContextTakeover: true, serverMaxWindowBits: 10 } });
+	webSocketServer.setOnConnection(connection => {
+		connection.setOnTextMessage(string => connection.sendTextMessage(string));
+	});
+	await new Promise(resolve => webSocketServer.listen(0, '127.0.0.1', resolve));
+	try {
+		const { connection, response } = await createClientConnectionAsync({
+			url: 'ws://127.0.0.1:' + webSocketServer.getHttpServer().address().port + '/',
+			perMessageDeflate: { clientNoContextTakeover: true },
+			fragmentSize: 1000,
+		});
+		Assert.strictEqual(
+			response.headers['sec-websocket-extensions'],
+			'permessage-deflate; server_no_context_takeover; server_max_window_bits=10'
+		);
+		
+		const string = 'κόσμε '.repeat(2000);
+		const echoed = new Promise(resolve => connection.once('text', resolve));
+		await new Promise((resolve, reject) => {
+			const stream = connection.createMessageStream({ isText: true });
+			stream.on('error', reject);
+			stream.end(string, resolve); // fragments of 1000 bytes
+		});
+		Assert.strictEqual(await echoed, string);
+		connection.end();
+	} finally {
+		await new Promise(resolve => webSocketServer.close(resolve));
+	}
+});
+
+test('connections close with 1009 past the inflate cap', async () => {
+	const webSocketServer = new WebSocketServer({ perMessageDeflate: true, maxMessageSize: 4096 });
+	const ends = [];
+	webSocketServer.setOnConnection(connection => {
+		connection.setOnEnd((appCode, statusCode, error) => ends.push([ appCode, statusCode, error.message ]));
+	});
+	await new Promise(resolve => webSocketServer.listen(0, '127.0.0.1', resolve));
+	try {
+		const { connection } = await createClientConnectionAsync({
+			url: 'ws://127.0.0.1:' + webSocketServer.getHttpServer().address().port + '/',
+			perMessageDeflate: true,
+		});
+		const statusCode = new Promise(resolve => connection.setOnEnd((appCode, statusCode) => resolve(statusCode)));
+		connection.sendBinaryMessage(Buffer.alloc(100 * 1024));
+		Assert.strictEqual(await statusCode, 1009);
+		Assert.deepStrictEqual(ends, [ [ 'ERR_EXTENSION', 1009, 'ERR_MESSAGE_TOO_BIG' ] ]);
+	} finally {
+		await new Promise(resolve => webSocketServer.close(resolve));
+	}
+});
+
+start();
+
+// functions
+
+function negotiate(serverOptions = {}, clientOptions = {}) {
+	const client = new PerMessageDeflate({ isServer: false, ...clientOptions });
+	const server = new PerMessageDeflate({ isServer: true, ...serverOptions });
+	const offer = client.createOffer();
+	const response = server.acceptOffers([ offer ]);
+	const isAccepted = response !== null && client.acceptResponse(response);
+	return { client, server, offer, response, isAccepted };
+}
+
+function createFrame(opCode, payload, isFin = true) {
+	return { opCode, isFin, rsvBits: 0, payload };
+}
+
+async function processFrames(extension, methodName, frames) {
+	
+	// one frame at a time, as the connections do
+	
+	const outputFrames = [];
+	for(const frame of frames) {
+		outputFrames.push(await new Promise((resolve, reject) => {
+			extension[methodName](frame, (error, outputFrame) => error ? reject(error) : resolve(outputFrame));
+		}));
+	}
+	return outputFrames;
+}
+
+function inflateAlone(payload, windowBits = 15) {
+	
+	// a fresh inflater, messages end in a sync flush rather than a final block
+	
+	return Zlib.inflateRawSync(Buffer.concat([ payload, DEFLATE_TRAILER ]), {
+		windowBits,
+		finishFlush: Zlib.constants.Z_SYNC_FLUSH,
+	});
+}
@@ -0,0 +1,55 @@
+/**
+	@howtouse
+		run
+		$ node ./test/promise-handshakes.js
+		
+		the server sends its first messages in the same packet as its handshake response,
+		callers of the promise handshakes attach their listeners after an await and must still receive them
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const Http = require('http');
+const { createClientConnectionAsync, serverUpgradeRequestAsync } = require('../src/websocket-protocol');
+const { test, start } = require('./test-runner');
+
+// static
+
+const TIMEOUT_MS = 3000;
+
+// run
+
+test('messages sent along with the handshake response reach for await', async ({ httpServer }) => {
+	const { connection } = await createClientConnectionAsync({
+		url: 'ws://127.0.0.1:' + httpServer.address().port + '/',
+	});
+	const messages = [];
+	for await (const message of connection) {
+		messages.push(message);
+		if(messages.length === 2) break;
+	}
+	connection.end();
+	Assert.deepStrictEqual(messages, [ 'first', 'second' ]);
+});
+
+start({ setUp, tearDown, timeout: TIMEOUT_MS });
+
+// functions
+
+async function setUp() {
+	const httpServer = Http.createServer();
+	httpServer.on('upgrade', async (request, socket) => {
+		const { connection } = await serverUpgradeRequestAsync(request, socket);
+		connection.sendTextMessage('first');
+		connection.sendTextMessage('second');
+	});
+	await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+	return { httpServer };
+}
+
+async function tearDown({ httpServer }) {
+	await new Promise(resolve => httpServer.close(resolve));
+}
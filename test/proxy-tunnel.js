@@ -0,0 +1,180 @@
+/**
+	@howtouse
+		run
+		$ node ./test/proxy-tunnel.js
+		
+		connects clients to a local WebSocketServer through a local HTTP CONNECT proxy stand-in,
+		an http server whose 'connect' handler tunnels to the target like a forward proxy does,
+		and through transports supplied by the createSocket hook
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const Http = require('http');
+const Net = require('net');
+const { createClientConnectionAsync } = require('../src/websocket-protocol');
+const { WebSocketServer } = require('../src/websocket-server');
+const { test, start } = require('./test-runner');
+
+// static
+
+const PROXY_USERNAME = 'user';
+const PROXY_PASSWORD = 'pass word:1';
+
+// run
+
+test('tunnels through the proxy with basic authentication', async ({ targetUrl, proxyPort, connectRequests }) => {
+	const { connection } = await createClientConnectionAsync({
+		url: targetUrl,
+		proxy: 'http://' + PROXY_USERNAME + ':' + encodeURIComponent(PROXY_PASSWORD) + '@127.0.0.1:' + proxyPort,
+	});
+	Assert.strictEqual(await echo(connection, 'through the tunnel'), 'through the tunnel');
+	connection.end();
+	
+	Assert.strictEqual(connectRequests.length, 1);
+	Assert.strictEqual(connectRequests[0].url, new URL(targetUrl).host);
+	Assert.strictEqual(
+		connectRequests[0].headers['proxy-authorization'],
+		'Basic ' + Buffer.from(PROXY_USERNAME + ':' + PROXY_PASSWORD, 'utf8').toString('base64')
+	);
+});
+
+test('proxy refusal fails with ERR_PROXY_CONNECT and its status code', async ({ targetUrl, proxyPort, connectRequests }) => {
+	await Assert.rejects(createClientConnectionAsync({
+		url: targetUrl,
+		proxy: 'http://127.0.0.1:' + proxyPort, // no credentials, the stand-in answers 407
+	}), error => {
+		Assert.strictEqual(error.message, 'ERR_PROXY_CONNECT');
+		Assert.strictEqual(error.statusCode, 407);
+		return true;
+	});
+	Assert.strictEqual(connectRequests.length, 1);
+	Assert.strictEqual(connectRequests[0].headers['proxy-authorization'], undefined);
+});
+
+test('createSocket supplies the transport', async ({ targetUrl }) => {
+	const targets = [];
+	const { connection } = await createClientConnectionAsync({
+		url: targetUrl,
+		createSocket: (target, callback) => {
+			targets.push(target);
+			const socket = Net.connect(target.port, target.host, () => callback(null, socket));
+			socket.once('error', callback);
+		},
+	});
+	Assert.strictEqual(await echo(connection, 'over a supplied socket'), 'over a supplied socket');
+	connection.end();
+	
+	const { hostname, port } = new URL(targetUrl);
+	Assert.strictEqual(targets.length, 1);
+	Assert.strictEqual(targets[0].host, hostname);
+	Assert.strictEqual(targets[0].port, Number(port));
+	Assert.strictEqual(targets[0].isSecure, false);
+});
+
+test('createSocket errors fail the handshake', async ({ targetUrl }) => {
+	await Assert.rejects(createClientConnectionAsync({
+		url: targetUrl,
+		createSocket: (target, callback) => callback(Error('ERR_NO_ROUTE')),
+	}), /ERR_NO_ROUTE/);
+});
+
+test('handshake timeout destroys the socket to an unresponsive proxy', async ({ targetUrl }) => {
+	const proxySockets = [];
+	const closedProxySockets = [];
+	const silentProxy = Net.createServer(socket => { // accepts, reads, never answers
+		proxySockets.push(socket);
+		socket.on('close', () => closedProxySockets.push(socket));
+		socket.resume();
+	});
+	await new Promise(resolve => silentProxy.listen(0, '127.0.0.1', resolve));
+	try {
+		await Assert.rejects(createClientConnectionAsync({
+			url: targetUrl,
+			proxy: 'http://127.0.0.1:' + silentProxy.address().port,
+			handshakeTimeout: 200,
+		}), /ERR_HANDSHAKE_TIMEOUT/);
+		await new Promise(resolve => setTimeout(resolve, 100));
+		Assert.strictEqual(proxySockets.length, 1);
+		Assert.strictEqual(closedProxySockets.length, 1);
+	} finally {
+		proxySockets.forEach(socket => socket.destroy());
+		await new Promise(resolve => silentProxy.close(resolve));
+	}
+});
+
+test('handshake timeout destroys what createSocket returned', async ({ targetUrl }) => {
+	const pendingSocket = new Net.Socket();
+	await Assert.rejects(createClientConnectionAsync({
+		url: targetUrl,
+		createSocket: () => pendingSocket, // never calls back
+		handshakeTimeout: 100,
+	}), /ERR_HANDSHAKE_TIMEOUT/);
+	Assert.strictEqual(pendingSocket.destroyed, true);
+});
+
+start({ setUp, tearDown });
+
+// functions
+
+async function setUp() {
+	const webSocketServer = new WebSocketServer();
+	webSocketServer.setOnConnection(connection => {
+		connection.setOnTextMessage(string => connection.sendTextMessage(string));
+	});
+	await new Promise(resolve => webSocketServer.listen(0, '127.0.0.1', resolve));
+	const targetUrl = 'ws://127.0.0.1:' + webSocketServer.getHttpServer().address().port + '/';
+	
+	const connectRequests = [];
+	const proxyServer = createProxyServer(connectRequests);
+	await new Promise(resolve => proxyServer.listen(0, '127.0.0.1', resolve));
+	
+	return { webSocketServer, proxyServer, targetUrl, proxyPort: proxyServer.address().port, connectRequests };
+}
+
+async function tearDown({ webSocketServer, proxyServer }) {
+	await new Promise(resolve => proxyServer.close(resolve));
+	await new Promise(resolve => webSocketServer.close(resolve));
+}
+
+function createProxyServer(connectRequests) {
+	const proxyServer = Http.createServer((request, response) => {
+		response.statusCode = 405;
+		response.end();
+	});
+	
+	// RFC 9110 [9.3.6] a forward proxy opens a TCP connection to the authority and relays bytes both ways
+	
+	proxyServer.on('connect', (request, socket, head) => {
+		connectRequests.push({ url: request.url, headers: request.headers });
+		if(request.headers['proxy-authorization'] === undefined) {
+			socket.end('HTTP/1.1 407 Proxy Authentication Required\r\nproxy-authenticate: Basic\r\ncontent-length: 0\r\n\r\n');
+			return;
+		}
+		
+		const [ host, port ] = request.url.split(':');
+		const targetSocket = Net.connect(Number(port), host, () => {
+			socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+			if(head.byteLength > 0) {
+				targetSocket.write(head);
+			}
+			socket.pipe(targetSocket);
+			targetSocket.pipe(socket);
+		});
+		targetSocket.on('error', () => socket.destroy());
+		socket.on('error', () => targetSocket.destroy());
+		socket.on('close', () => targetSocket.destroy());
+		targetSocket.on('close', () => socket.destroy());
+	});
+	return proxyServer;
+}
+
+function echo(connection, string) {
+	return new Promise(resolve => {
+		connection.once('text', resolve);
+		connection.sendTextMessage(string);
+	});
+}
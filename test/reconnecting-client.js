@@ -0,0 +1,78 @@
+/**
+	@howtouse
+		run
+		$ node ./test/reconnecting-client.js
+		
+		reconnects a ReconnectingClient to a WebSocketServer that closes every connection,
+		the delay between attempts must keep growing unless connections stayed open long enough
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const { ReconnectingClient } = require('../src/reconnecting-client');
+const { WebSocketServer } = require('../src/websocket-server');
+const { test, start } = require('./test-runner');
+
+// static
+
+const MIN_RECONNECT_DELAY_MS = 50;
+const OBSERVE_TIME_MS = 1500;
+
+// run
+
+test('connections closed right away back off like failed handshakes', async ({ webSocketServer, url }) => {
+	webSocketServer.setOnConnection(connection => connection.end(1013, 'try again later'));
+	const connectDates = await observeConnects(url, { minStableTime: 1000 });
+	
+	// 50, 100, 200, 400 and 800 ms apart: 6 connections at most, not one every 50 ms
+	
+	Assert.ok(connectDates.length <= 6, connectDates.length + ' connections');
+	const gaps = connectDates.slice(1).map((date, i) => date - connectDates[i]);
+	gaps.slice(1).forEach((gap, i) => Assert.ok(gap > gaps[i], 'gaps ' + gaps.join()));
+});
+
+test('connections that stayed open reset the delay', async ({ webSocketServer, url }) => {
+	webSocketServer.setOnConnection(connection => setTimeout(() => connection.end(1001), 200));
+	const connectDates = await observeConnects(url, { minStableTime: 100 });
+	
+	// open 200 ms, then 50 ms until the next one
+	
+	Assert.ok(connectDates.length >= 5, connectDates.length + ' connections');
+	const gaps = connectDates.slice(1).map((date, i) => date - connectDates[i]);
+	gaps.forEach(gap => Assert.ok(gap < 200 + 4 * MIN_RECONNECT_DELAY_MS, 'gaps ' + gaps.join()));
+});
+
+start({ setUp, tearDown });
+
+// functions
+
+async function setUp() {
+	const webSocketServer = new WebSocketServer({ closeTimeout: 100 });
+	await new Promise(resolve => webSocketServer.listen(0, '127.0.0.1', resolve));
+	const url = 'ws://127.0.0.1:' + webSocketServer.getHttpServer().address().port + '/';
+	return { webSocketServer, url };
+}
+
+async function tearDown({ webSocketServer }) {
+	await new Promise(resolve => webSocketServer.close(resolve));
+}
+
+function observeConnects(url, options) {
+	return new Promise(resolve => {
+		const connectDates = [];
+		const client = new ReconnectingClient({
+			url,
+			minReconnectDelay: MIN_RECONNECT_DELAY_MS,
+			reconnectJitter: 0,
+			...options,
+		});
+		client.setOnConnect(() => connectDates.push(Date.now()));
+		setTimeout(() => {
+			client.end();
+			resolve(connectDates);
+		}, OBSERVE_TIME_MS);
+	});
+}
@@ -0,0 +1,108 @@
+/**
+	@howtouse
+		run
+		$ node ./test/server-routing.js
+		
+		attaches WebSocketServers with their own path to one http server,
+		upgrade requests reach the server of their path, and the others are answered with 404
+		unless the http server has 'upgrade' listeners of its own
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const Http = require('http');
+const Net = require('net');
+const { createClientConnectionAsync } = require('../src/websocket-protocol');
+const { WebSocketServer } = require('../src/websocket-server');
+const { test, start } = require('./test-runner');
+
+// run
+
+test('requests reach the server of their path', async ({ servers, url }) => {
+	for(const path of [ '/a', '/b' ]) {
+		const { connection } = await createClientConnectionAsync({ url: url + path });
+		connection.end();
+	}
+	Assert.deepStrictEqual(servers.map(server => server.getStats().acceptedCount), [ 1, 1 ]);
+});
+
+test('requests to other paths get 404 once', async ({ servers, port }) => {
+	Assert.match(await upgradeRaw(port, '/c'), /^HTTP\/1\.1 404 /);
+	servers.forEach(server => Assert.deepStrictEqual(server.getStats().rejectedCounts, { 'ERR_PATH': 1 }));
+});
+
+test('requests to other paths are left to own upgrade listeners', async ({ httpServer, port }) => {
+	httpServer.on('upgrade', (request, socket) => socket.end('HTTP/1.1 418 I\'m a teapot\r\n\r\n'));
+	Assert.match(await upgradeRaw(port, '/c'), /^HTTP\/1\.1 418 /);
+});
+
+test('a server for any path takes what no path matches', async ({ httpServer, servers, url }) => {
+	const anyPathServer = new WebSocketServer();
+	anyPathServer.attach(httpServer);
+	const { connection } = await createClientConnectionAsync({ url: url + '/c' });
+	connection.end();
+	Assert.strictEqual(anyPathServer.getStats().acceptedCount, 1);
+	servers.push(anyPathServer); // closed by tearDown
+});
+
+test('closed servers leave the routing', async ({ httpServer, servers, url, port }) => {
+	await new Promise(resolve => servers[0].close(resolve));
+	Assert.match(await upgradeRaw(port, '/a'), /^HTTP\/1\.1 404 /);
+	const { connection } = await createClientConnectionAsync({ url: url + '/b' });
+	connection.end();
+	
+	await new Promise(resolve => servers[1].close(resolve));
+	Assert.strictEqual(httpServer.listenerCount('upgrade'), 0);
+});
+
+start({ setUp, tearDown });
+
+// functions
+
+async function setUp() {
+	const httpServer = Http.createServer();
+	const servers = [ '/a', '/b' ].map(path => {
+		const webSocketServer = new WebSocketServer({ path });
+		webSocketServer.attach(httpServer);
+		return webSocketServer;
+	});
+	await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+	const { port } = httpServer.address();
+	return { httpServer, servers, port, url: 'ws://127.0.0.1:' + port };
+}
+
+async function tearDown({ httpServer, servers }) {
+	await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+	await new Promise(resolve => httpServer.close(resolve));
+}
+
+function upgradeRaw(port, path) {
+	
+	// resolves with what the server answered before closing, or after a second of silence
+	
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		const socket = Net.connect(port, '127.0.0.1', () => {
+			socket.write([
+				'GET ' + path + ' HTTP/1.1',
+				'host: 127.0.0.1',
+				'upgrade: websocket',
+				'connection: upgrade',
+				'sec-websocket-key: AAAAAAAAAAAAAAAAAAAAAA==',
+				'sec-websocket-version: 13',
+				'',
+				'',
+			].join('\r\n'));
+		});
+		const timer = setTimeout(() => socket.destroy(), 1000);
+		socket.on('data', chunk => chunks.push(chunk));
+		socket.on('close', () => {
+			clearTimeout(timer);
+			resolve(Buffer.concat(chunks).toString('latin1'));
+		});
+		socket.on('error', reject);
+	});
+}
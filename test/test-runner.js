@@ -0,0 +1,75 @@
+/**
+	@howtouse
+		const { test, start } = require('./test-runner');
+		
+		test('name', async context => {
+			// throw (or reject) to fail, e.g. with require('assert')
+		}, options); // options: passed to setUp, optional
+		
+		start({
+			setUp: async options => context, // optional, once before each test
+			tearDown: async context => {}, // optional, once after each test, failed or not
+			timeout: 10 * 1000, // optional, milliseconds after which a test fails
+		});
+		
+		runs the tests one after the other and prints "ok - name" or "not ok - name" for each,
+		then "all passed" or "N failed"; the exit code is 1 if any failed
+*/
+
+'use strict';
+
+// static
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+const TESTS = [];
+
+// export
+
+module.exports = {
+	test,
+	start,
+};
+
+// functions
+
+function test(name, run, options = {}) {
+	TESTS.push({ name, run, options });
+}
+
+async function start({
+	setUp = async () => ({}),
+	tearDown = async () => {},
+	timeout = DEFAULT_TIMEOUT_MS,
+} = {}) {
+	let failureCount = 0;
+	for(const { name, run, options } of TESTS) {
+		let context = null;
+		try {
+			context = await setUp(options);
+			await runWithTimeout(() => run(context), timeout);
+			console.log('ok - ' + name);
+		} catch(error) {
+			++failureCount;
+			console.log('not ok - ' + name);
+			console.log(error);
+		}
+		if(context !== null) {
+			await tearDown(context);
+		}
+	}
+	console.log(failureCount === 0 ? 'all passed' : failureCount + ' failed');
+	if(failureCount > 0) {
+		
+		// a failed test may leave sockets or timers behind that would keep the process alive
+		
+		process.exit(1);
+	}
+}
+
+function runWithTimeout(run, timeout) {
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => reject(Error('ERR_TEST_TIMEOUT')), timeout);
+		Promise.resolve().then(run).then(resolve, reject).finally(() => clearTimeout(timer));
+	});
+}
@@ -0,0 +1,148 @@
+/**
+	@howtouse
+		run
+		$ node ./test/utf8-validation.js
+		
+		feeds valid and invalid UTF-8 to Utf8Validator byte by byte and split at every offset,
+		a code point split across chunks must validate like a whole one, and invalid ones fail
+		at the first byte that rules them out
+		
+		runs against buffer.isUtf8 (nodejs 18.14+) and against the JS fallback,
+		loaded a second time with buffer.isUtf8 hidden
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const BufferModule = require('buffer');
+const { test, start } = require('./test-runner');
+
+// static
+
+const IMPLEMENTATIONS = {
+	'native': BufferModule.isUtf8 !== undefined ? require('../src/utf8-validation') : null,
+	'js': requireWithoutNativeIsUtf8('../src/utf8-validation'),
+};
+
+const VALID = [
+	Buffer.from('ascii only'),
+	Buffer.from('é ß ü'), // 2 bytes
+	Buffer.from('€ ह 한'), // 3 bytes
+	Buffer.from('😀 𝄞 \u{10FFFF}'), // 4 bytes, up to the last code point
+	Buffer.from([ 0xE0, 0xA0, 0x80 ]), // U+0800, smallest 3-byte code point
+	Buffer.from([ 0xED, 0x9F, 0xBF ]), // U+D7FF, below the surrogates
+	Buffer.from([ 0xF0, 0x90, 0x80, 0x80 ]), // U+10000, smallest 4-byte code point
+];
+
+// bytes -> index of the first byte that makes them invalid
+const INVALID = [
+	[ [ 0xE0, 0x80, 0x80 ], 1 ], // overlong 3 bytes
+	[ [ 0xF0, 0x80, 0x80, 0x80 ], 1 ], // overlong 4 bytes
+	[ [ 0xED, 0xA0, 0x80 ], 1 ], // surrogate U+D800
+	[ [ 0xF4, 0x90, 0x80, 0x80 ], 1 ], // above U+10FFFF
+	[ [ 0xC0, 0x80 ], 0 ], // overlong 2 bytes, C0 and C1 never appear
+	[ [ 0xF5, 0x80, 0x80, 0x80 ], 0 ],
+	[ [ 0x80 ], 0 ], // continuation byte without a lead byte
+	[ [ 0x61, 0xE2, 0x82, 0x41 ], 3 ], // third byte not a continuation
+	[ [ 0xF0, 0x9F, 0x98, 0x41 ], 3 ], // fourth byte not a continuation
+	[ [ 0xC3, 0xA9, 0xA9 ], 2 ], // one continuation byte too many
+];
+
+// incomplete at the end of the message
+const TRUNCATED = [
+	[ 0xC3 ],
+	[ 0x61, 0xE2, 0x82 ],
+	[ 0xF0, 0x9F, 0x98 ],
+];
+
+// run
+
+Object.keys(IMPLEMENTATIONS).forEach(name => {
+	const { Utf8Validator, isValidUtf8 } = IMPLEMENTATIONS[name] || {};
+	if(Utf8Validator === undefined) return; // no buffer.isUtf8 on this nodejs
+	
+	test(name + ': whole buffers', () => {
+		VALID.forEach(buffer => Assert.strictEqual(isValidUtf8(buffer), true, buffer.toString('hex')));
+		INVALID.forEach(([ bytes ]) => Assert.strictEqual(isValidUtf8(Buffer.from(bytes)), false, bytes.join()));
+		TRUNCATED.forEach(bytes => Assert.strictEqual(isValidUtf8(Buffer.from(bytes)), false, bytes.join()));
+	});
+	
+	test(name + ': valid code points, byte by byte', () => {
+		VALID.forEach(buffer => {
+			const validator = new Utf8Validator();
+			for(let i = 0; i < buffer.byteLength; ++i) {
+				Assert.strictEqual(validator.write(buffer.slice(i, i + 1)), true, buffer.toString('hex') + ' at ' + i);
+			}
+			Assert.strictEqual(validator.end(), true);
+		});
+	});
+	
+	test(name + ': valid code points, split at every offset', () => {
+		const buffer = Buffer.concat(VALID);
+		for(let offset = 1; offset < buffer.byteLength; ++offset) {
+			const validator = new Utf8Validator();
+			Assert.strictEqual(validator.write(buffer.slice(0, offset)), true, 'offset ' + offset);
+			Assert.strictEqual(validator.write(buffer.slice(offset)), true, 'offset ' + offset);
+			Assert.strictEqual(validator.end(), true);
+		}
+	});
+	
+	test(name + ': invalid sequences fail at the first invalid byte, byte by byte', () => {
+		INVALID.forEach(([ bytes, invalidIndex ]) => {
+			const validator = new Utf8Validator();
+			let failedIndex = -1;
+			for(let i = 0; i < bytes.length && failedIndex === -1; ++i) {
+				if(!validator.write(Buffer.from([ bytes[i] ]))) {
+					failedIndex = i;
+				}
+			}
+			Assert.strictEqual(failedIndex, invalidIndex, bytes.join());
+		});
+	});
+	
+	test(name + ': invalid sequences split after valid text', () => {
+		INVALID.forEach(([ bytes ]) => {
+			const buffer = Buffer.concat([ Buffer.from('ok é '), Buffer.from(bytes) ]);
+			for(let offset = 1; offset < buffer.byteLength; ++offset) {
+				const validator = new Utf8Validator();
+				const isValid = validator.write(buffer.slice(0, offset)) && validator.write(buffer.slice(offset));
+				Assert.strictEqual(isValid, false, bytes.join() + ' at offset ' + offset);
+			}
+		});
+	});
+	
+	test(name + ': truncated tails fail at the end of the message', () => {
+		TRUNCATED.forEach(bytes => {
+			const validator = new Utf8Validator();
+			bytes.forEach(byte => Assert.strictEqual(validator.write(Buffer.from([ byte ])), true, bytes.join()));
+			Assert.strictEqual(validator.end(), false, bytes.join());
+			Assert.strictEqual(validator.end(), true); // reset for the next message
+		});
+	});
+});
+
+start();
+
+// functions
+
+function requireWithoutNativeIsUtf8(modulePath) {
+	
+	// a fresh instance of the module, with buffer.isUtf8 missing as on nodejs before 18.14
+	
+	const resolvedPath = require.resolve(modulePath);
+	const cachedModule = require.cache[resolvedPath];
+	const { isUtf8 } = BufferModule;
+	delete require.cache[resolvedPath];
+	BufferModule.isUtf8 = undefined;
+	try {
+		return require(modulePath);
+	} finally {
+		BufferModule.isUtf8 = isUtf8;
+		delete require.cache[resolvedPath];
+		if(cachedModule !== undefined) {
+			require.cache[resolvedPath] = cachedModule;
+		}
+	}
+}
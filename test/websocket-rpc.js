@@ -0,0 +1,98 @@
+/**
+	@howtouse
+		run
+		$ node ./test/websocket-rpc.js
+		
+		runs a WebSocketRpc over a stand-in connection whose send buffer can be made full,
+		as sends are with backpressurePolicy 'reject' once the peer stops reading:
+		what the RPC sends on its own (cancellations, error replies) must not throw
+		from timers, abort listeners or 'text' listeners
+*/
+
+'use strict';
+
+// import
+
+const Assert = require('assert');
+const EventEmitter = require('events');
+const { WebSocketRpc } = require('../src/websocket-rpc');
+const { test, start } = require('./test-runner');
+
+// run
+
+test('a call timing out with a full send buffer rejects, and throws nothing', async ({ connection, rpc }) => {
+	const result = rpc.call('slow', [], { timeout: 50 });
+	connection.isSendBufferFull = true;
+	await Assert.rejects(result, /ERR_RPC_TIMEOUT/);
+	Assert.strictEqual(rpc.getPendingCallCount(), 0);
+});
+
+test('an aborted call with a full send buffer rejects, and throws nothing', async ({ connection, rpc }) => {
+	const abortController = new AbortController();
+	const result = rpc.call('slow', [], { signal: abortController.signal });
+	connection.isSendBufferFull = true;
+	abortController.abort();
+	await Assert.rejects(result, /ERR_RPC_CANCELLED/);
+});
+
+test('cancellations are sent while the send buffer has room', async ({ connection, rpc }) => {
+	const result = rpc.call('slow', [], { timeout: 50 });
+	await Assert.rejects(result, /ERR_RPC_TIMEOUT/);
+	Assert.deepStrictEqual(JSON.parse(connection.sent[1]), { jsonrpc: '2.0', method: '$/cancelRequest', params: { id: 1 } });
+});
+
+test('error replies to bad messages with a full send buffer throw nothing', ({ connection }) => {
+	connection.isSendBufferFull = true;
+	[
+		'not json', // parse error
+		'42', // invalid request
+		'{ "jsonrpc": "2.0", "id": 7 }', // invalid request
+		'{ "jsonrpc": "2.0", "id": 8, "method": "unknown" }', // method not found
+	].forEach(string => connection.emit('text', string));
+	Assert.deepStrictEqual(connection.sent, []);
+	
+	connection.isSendBufferFull = false;
+	connection.emit('text', 'not json');
+	Assert.strictEqual(JSON.parse(connection.sent[0]).error.code, -32700);
+});
+
+test('handler results with a full send buffer throw nothing', async ({ connection, rpc }) => {
+	rpc.setHandler('add', ([ a, b ]) => a + b);
+	connection.isSendBufferFull = true;
+	connection.emit('text', JSON.stringify({ jsonrpc: '2.0', id: 9, method: 'add', params: [ 1, 2 ] }));
+	await new Promise(resolve => setImmediate(resolve));
+	Assert.deepStrictEqual(connection.sent, []);
+});
+
+test('notify throws like the connection sends do', ({ connection, rpc }) => {
+	connection.isSendBufferFull = true;
+	Assert.throws(() => rpc.notify('log', {}), /ERR_SEND_BUFFER_FULL/);
+});
+
+start({ setUp });
+
+// functions
+
+async function setUp() {
+	const connection = createConnection();
+	return { connection, rpc: new WebSocketRpc(connection) };
+}
+
+function createConnection() {
+	
+	// the parts of a webSocketConnection the RPC uses
+	
+	const connection = new EventEmitter();
+	return Object.assign(connection, {
+		sent: [],
+		isSendBufferFull: false,
+		isOpen: () => true,
+		sendTextMessage: string => {
+			if(connection.isSendBufferFull) {
+				throw Error('ERR_SEND_BUFFER_FULL');
+			}
+			connection.sent.push(string);
+			return true;
+		},
+	});
+}